@@ -0,0 +1,147 @@
+// ============================================================================
+// CONFIGURATION (environment)
+// ============================================================================
+
+const path = require('path');
+
+// Persisted state (formatter profiles, ...) lives here unless a more specific path is set
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * Reads a numeric environment variable, falling back when unset or not a number
+ */
+function numberFromEnv(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Reads a comma-separated environment variable into a trimmed, non-empty list
+ */
+function listFromEnv(name) {
+    return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    numberFromEnv,
+    listFromEnv,
+    dataDir,
+
+    auth: {
+        // Set AUTH_ENABLED=false only for local development: every route is then open
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        adminKey: process.env.API_ADMIN_KEY,
+        keysPath: process.env.API_KEYS_PATH || path.join(dataDir, 'api-keys.json'),
+        // Per-key defaults for upstream-backed routes; keys may override them
+        rateLimitPerMinute: numberFromEnv('AUTH_RATE_LIMIT_PER_MINUTE', 60),
+        dailyQuota: numberFromEnv('AUTH_DAILY_QUOTA', 5000)
+    },
+
+    cors: {
+        // Browser origins allowed to call the API ("*" allows any)
+        origins: listFromEnv('CORS_ORIGINS')
+    },
+
+    ipApi: {
+        baseUrl: process.env.IP_API_BASE_URL || 'http://ip-api.com',
+        cacheTtlMs: numberFromEnv('IP_API_CACHE_TTL_SECONDS', 3600) * 1000
+    },
+
+    abuseIpdb: {
+        baseUrl: process.env.ABUSEIPDB_BASE_URL || 'https://api.abuseipdb.com/api/v2',
+        apiKey: process.env.ABUSEIPDB_API_KEY,
+        cacheTtlMs: numberFromEnv('ABUSEIPDB_CACHE_TTL_SECONDS', 6 * 3600) * 1000,
+        // Upper bound on parallel checks for the batch and check-block routes
+        maxConcurrency: numberFromEnv('ABUSEIPDB_MAX_CONCURRENCY', 5)
+    },
+
+    dns: {
+        // Resolvers for PTR lookups ("1.1.1.1", "127.0.0.1:5300"); the system resolvers when empty
+        servers: listFromEnv('DNS_SERVERS'),
+        timeoutMs: numberFromEnv('DNS_TIMEOUT_SECONDS', 5) * 1000,
+        cacheTtlMs: numberFromEnv('DNS_CACHE_TTL_SECONDS', 3600) * 1000,
+        maxConcurrency: numberFromEnv('DNS_MAX_CONCURRENCY', 10)
+    },
+
+    rdap: {
+        // Directory holding the IANA bootstrap files ipv4.json and ipv6.json
+        bootstrapUrl: (process.env.RDAP_BOOTSTRAP_URL || 'https://data.iana.org/rdap').replace(/\/+$/, ''),
+        bootstrapTtlMs: numberFromEnv('RDAP_BOOTSTRAP_TTL_HOURS', 24) * 3600 * 1000,
+        // When set, every query goes to this server instead of the bootstrapped registry
+        baseUrl: (process.env.RDAP_BASE_URL || '').replace(/\/+$/, ''),
+        cacheTtlMs: numberFromEnv('RDAP_CACHE_TTL_SECONDS', 86400) * 1000,
+        timeoutMs: numberFromEnv('RDAP_TIMEOUT_SECONDS', 10) * 1000,
+        maxConcurrency: numberFromEnv('RDAP_MAX_CONCURRENCY', 3)
+    },
+
+    geo: {
+        // Fallback order of geolocation providers: ip-api, mmdb, csv
+        providers: listFromEnv('GEO_PROVIDERS').length > 0 ? listFromEnv('GEO_PROVIDERS') : ['ip-api'],
+        mmdbPath: process.env.GEO_MMDB_PATH,
+        mmdbAsnPath: process.env.GEO_MMDB_ASN_PATH,
+        csvPath: process.env.GEO_CSV_PATH,
+        csvFormat: process.env.GEO_CSV_FORMAT || 'ip2location'
+    },
+
+    enrichment: {
+        // AbuseIPDB confidence scores at or above these mark an IP suspicious / malicious
+        suspiciousScore: numberFromEnv('VERDICT_SUSPICIOUS_SCORE', 25),
+        maliciousScore: numberFromEnv('VERDICT_MALICIOUS_SCORE', 75),
+        watchCountries: listFromEnv('VERDICT_WATCH_COUNTRIES'),
+        watchAsns: listFromEnv('VERDICT_WATCH_ASNS')
+    },
+
+    jobs: {
+        // How long finished background jobs (and their results) are kept
+        retentionMs: numberFromEnv('JOB_RETENTION_MINUTES', 60) * 60 * 1000
+    },
+
+    history: {
+        // Successful ip-info / AbuseIPDB lookups are kept for search and export
+        enabled: process.env.HISTORY_ENABLED !== 'false',
+        path: process.env.HISTORY_PATH || path.join(dataDir, 'lookup-history.jsonl'),
+        retentionDays: numberFromEnv('HISTORY_RETENTION_DAYS', 90),
+        maxEntries: numberFromEnv('HISTORY_MAX_ENTRIES', 100000)
+    },
+
+    ipLists: {
+        path: process.env.IP_LISTS_PATH || path.join(dataDir, 'ip-lists.json')
+    },
+
+    firewall: {
+        // Ranges block-rule exports never include, on top of the request's allowlist
+        protectedRanges: listFromEnv('FIREWALL_PROTECTED_RANGES'),
+        namePrefix: process.env.FIREWALL_NAME_PREFIX || 'BLOCK_'
+    },
+
+    formatter: {
+        profilesPath: process.env.FORMATTER_PROFILES_PATH || path.join(dataDir, 'formatter-profiles.json'),
+        // Versions kept per profile for rollback (the current one included)
+        historyLimit: numberFromEnv('FORMATTER_PROFILE_HISTORY', 20),
+        // Timestamp defaults; profiles and requests can override each of them
+        timestamps: {
+            timezone: process.env.FORMATTER_TIMEZONE || 'UTC',
+            inputTimezone: process.env.FORMATTER_INPUT_TIMEZONE || 'UTC',
+            displayFormat: process.env.FORMATTER_DATE_FORMAT || 'YYYY-MM-DD HH:mm:ss Z',
+            dateOrder: process.env.FORMATTER_DATE_ORDER === 'MDY' ? 'MDY' : 'DMY'
+        }
+    },
+
+    theHive: {
+        url: (process.env.THEHIVE_URL || '').replace(/\/+$/, ''),
+        apiKey: process.env.THEHIVE_API_KEY,
+        // 4 uses /api/case and /api/alert, 5 uses /api/v1/case and /api/v1/alert
+        apiVersion: numberFromEnv('THEHIVE_API_VERSION', 5),
+        organisation: process.env.THEHIVE_ORGANISATION,
+        alertSource: process.env.THEHIVE_ALERT_SOURCE || 'myip-tools',
+        timeoutMs: numberFromEnv('THEHIVE_TIMEOUT_SECONDS', 15) * 1000
+    },
+
+    upstream: {
+        // Per-provider cap on cached responses; the oldest entries are evicted first
+        cacheMaxEntries: numberFromEnv('UPSTREAM_CACHE_MAX_ENTRIES', 10000),
+        // How long a request may sit in the rate-limit queue before failing with a 429
+        maxQueueWaitMs: numberFromEnv('UPSTREAM_MAX_QUEUE_WAIT_SECONDS', 90) * 1000,
+        maxRetries: numberFromEnv('UPSTREAM_MAX_RETRIES', 2)
+    }
+};
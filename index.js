@@ -1,6 +1,38 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const subnets = require('./utils/subnets');
+const { summarizeSubnets } = subnets;
+const { parseCidr, formatCidr } = require('./utils/ipAddress');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const config = require('./config');
+const { extractIps } = require('./utils/ipExtract');
+const { classifyIp, isRoutable } = require('./utils/ipClassify');
+const geoProviders = require('./services/geoProviders');
+const abuseIpdb = require('./services/abuseIpdb');
+const { enrichIps } = require('./services/enrichment');
+const theHive = require('./services/theHive');
+const formatterProfiles = require('./services/formatterProfiles');
+const ipLists = require('./services/ipLists');
+const lookupHistory = require('./services/lookupHistory');
+const batchSummary = require('./services/batchSummary');
+const reverseDns = require('./services/reverseDns');
+const rdap = require('./services/rdap');
+const apiKeys = require('./services/apiKeys');
+const jobs = require('./services/jobs');
+const { formatReport } = require('./services/reportFormatter');
+const { GROUPING_CRITERIA, formatReportBatch } = require('./services/bulkFormatter');
+const { EXPORT_TARGETS, DIRECTIONS, exportBlockRules } = require('./utils/firewallRules');
+const { splitReports } = require('./utils/reportParser');
+const { formatCsvLine } = require('./utils/csv');
+const { buildStixBundle } = require('./utils/stix');
+const { UpstreamRateLimitError } = require('./services/rateLimiter');
+const { getUpstreamStats, flushUpstreamCaches } = require('./services/upstreamClient');
+const { validate } = require('./middleware/validate');
+const auth = require('./middleware/auth');
+const { requireRole, meterUpstream } = auth;
+const { buildOpenApiDocument } = require('./utils/openapi');
+const schemas = require('./schemas');
+const packageInfo = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -9,7 +41,7 @@ const PORT = process.env.PORT || 3001;
 // MIDDLEWARE
 // ============================================================================
 
-app.use(cors());
+app.use(cors(auth.corsOptions()));
 app.use(express.json());
 
 app.use((req, res, next) => {
@@ -17,127 +49,13 @@ app.use((req, res, next) => {
   next();
 });
 
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-let FIELD_CONFIG = {
-    // General Information fields
-    'category': {
-        keywords: ['Category','Categories'],
-        section: 'general',
-        outputLabel: 'Category',
-        enabled: true,
-        priority: 1
-    },
-    'subCategories': {
-        keywords: ['Sub Categories', 'Sub Category', 'Sub Categor'],
-        section: 'general',
-        outputLabel: 'Sub Categories',
-        enabled: true,
-        priority: 2
-    },
-    'deviceAction': {
-        keywords: ['Device Action'],
-        section: 'general',
-        outputLabel: 'Device Action',
-        enabled: true,
-        priority: 3
-    },
-    'signature': {
-        keywords: ['Signature','Signatures','Signature Alert'],
-        section: 'general',
-        outputLabel: 'Signature',
-        enabled: false,
-        priority: 3
-    },
-    'severity': {
-        keywords: ['Severity'],
-        section: 'general',
-        outputLabel: 'Severity',
-        enabled: false,
-        priority: 4
-    },
-    'dateOfIssue': {
-        keywords: ['Date of Issue'],
-        section: 'general',
-        outputLabel: 'Date of Issue',
-        enabled: false,
-        priority: 5
-    },
-    'startTime': {
-        keywords: ['Start Time'],
-        section: 'general',
-        outputLabel: 'Start Time',
-        enabled: false,
-        priority: 6
-    },
-    'endTime': {
-        keywords: ['End Time'],
-        section: 'general',
-        outputLabel: 'End Time',
-        enabled: false,
-        priority: 7
-    },
-    'destinationPort': {
-        keywords: ['Destination Port'],
-        section: 'general',
-        outputLabel: 'Destination Port',
-        enabled: false,
-        priority: 8
-    }
-};
-
-let SECTION_CONFIG = {
-    general: { enabled: true, label: 'Incident General Information' },
-    incidentInfo: { enabled: true, label: 'Incident Information' },
-    actionRecommendation: { enabled: true, label: 'Action & Recommendation' }
-};
+// Every API route needs a key except the published contract
+app.use('/api', auth.authenticate({ publicPaths: ['/openapi.json'] }));
 
 // ============================================================================
 // UTILITY FUNCTIONS - IP OPERATIONS
 // ============================================================================
 
-function ipToParts(ip) {
-  return ip.split('.').map(Number);
-}
-
-function summarizeSubnets(ips) {
-  // Group by first 3 octets
-  const buckets = new Map();
-  for (const ip of ips) {
-    const [a,b,c,d] = ipToParts(ip);
-    const key = `${a}.${b}.${c}`;
-    if (!buckets.has(key)) buckets.set(key, []);
-    buckets.get(key).push(d);
-  }
-
-  const results = [];
-  for (const [prefix, hosts] of buckets) {
-    const min = Math.min(...hosts);
-    const max = Math.max(...hosts);
-
-    // default to Class C (/24-/32)
-    let mask = 24;
-    // try narrower masks if possible
-    for (let prefixLen = 25; prefixLen <= 32; prefixLen++) {
-      const size = 1 << (32 - prefixLen); 
-      const base = Math.floor(min / size) * size;
-      const rangeStart = base;
-      const rangeEnd = base + size - 1;
-      if (max <= rangeEnd && min >= rangeStart) {
-        mask = prefixLen;
-      } else {
-        break; 
-      }
-    }
-
-    results.push(`${prefix}.${Math.floor(min / (1 << (32-mask))) * (1 << (32-mask))}/${mask}`);
-  }
-
-  return results;
-}
-
 function getFieldsQuery(requestedFields, defaultFields) {
     if (requestedFields) {
         const fieldSet = new Set(requestedFields.split(','));
@@ -149,177 +67,207 @@ function getFieldsQuery(requestedFields, defaultFields) {
     return defaultFields;
 }
 
-// ============================================================================
-// UTILITY FUNCTIONS - REPORT FORMATTING
-// ============================================================================
+/**
+ * Builds the ip-api-shaped result returned instead of an upstream lookup for non-routable addresses
+ */
+function skippedLookupResult(classification) {
+    return {
+        status: 'skipped',
+        message: `${classification.name} address (${classification.category}); upstream lookup skipped`,
+        query: classification.ip,
+        classification
+    };
+}
 
 /**
- * Extracts field value from text using multiple strategies
+ * Looks up geolocation for a list of IPs through the ip-api batch endpoint.
+ * Non-routable addresses are answered locally with their classification.
+ * Returns { data, meta } with results in input order.
  */
-function extractFieldValue(text, fieldConfig) {
-    const { keywords } = fieldConfig;
-    
-    for (const keyword of keywords) {
-        // Pattern 1: Tabular format - "Keyword :" followed by tab/spaces then value, then tab/spaces then next field
-        // Example: "Category : 	Inappropriate Usage	Sub Category:	allowed"
-        const tabularPattern = new RegExp(`${keyword}\\s*:\\s*([^\\t\\n]+?)(?=\\s*\\t[A-Za-z\\s]+\\s*:|\\s*$)`, 'i');
-        let match = text.match(tabularPattern);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 2: **Keyword :** value (same line, no closing **)
-        const sameLineNoClosing = new RegExp(`\\*\\*${keyword}\\s*:\\*\\*?\\s*([^\\n*]+)`, 'i');
-        match = text.match(sameLineNoClosing);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 3: **Keyword :** \n value (next line, no closing **)
-        const nextLineNoClosing = new RegExp(`\\*\\*${keyword}\\s*:\\*\\*?\\s*\\n\\s*([^\\n*]+)`, 'i');
-        match = text.match(nextLineNoClosing);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 4: **Keyword : ** value (original bold pattern)
-        const boldPattern = new RegExp(`\\*\\*${keyword}\\s*:\\s*\\*\\*\\s*([^\\n*]+)`, 'i');
-        match = text.match(boldPattern);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 5: **Keyword :** ** \n value (next line with closing **)
-        const nextLinePattern = new RegExp(`\\*\\*${keyword}\\s*:\\*\\*\\s*\\n\\s*([^\\n*]+)`, 'i');
-        match = text.match(nextLinePattern);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 6: Simple line-based pattern - "Keyword : value" on its own line
-        const simpleLinePattern = new RegExp(`^\\s*${keyword}\\s*:\\s*(.+?)\\s*$`, 'm');
-        match = text.match(simpleLinePattern);
-        if (match && match[1].trim()) {
-            return match[1].trim();
-        }
-        
-        // Pattern 7: Generic pattern for fallback
-        const simplePattern = new RegExp(`${keyword}\\s*:(.*)$`, 'm');
-        match = text.match(simplePattern);
-        if (match && match[1]) {
-            const genericPattern = /(.*?)(?:\s+[A-Za-z ]+\s*:|$)/;
-            const valueMatch = match[1].match(genericPattern);
-            if (valueMatch && valueMatch[1]) {
-                return valueMatch[1].trim();
-            }
-        }
-        
-        // Pattern 8: Multi-line pattern
-        const multiLinePattern = new RegExp(`\\*\\*${keyword}\\s*:\\*\\*?\\s*\\n([\\s\\S]*?)(?=\\*\\*[^*]+:\\*\\*?|$)`, 'i');
-        match = text.match(multiLinePattern);
-        if (match && match[1].trim()) {
-            return match[1].trim().replace(/\n\s*\n/g, '\n');
-        }
+async function fetchBatchGeolocation(ips, requestedFields) {
+    const defaultFields = 'status,message,query,country,city';
+    const fields = getFieldsQuery(requestedFields, defaultFields);
+
+    const routableIps = ips.filter(isRoutable);
+    let upstream = { data: [], meta: null, providers: [] };
+    if (routableIps.length > 0) {
+        console.log(`Querying batch IPs with fields: ${fields}`);
+        upstream = await geoProviders.lookupGeolocationBatch(routableIps, fields);
     }
-    
-    return null;
+
+    // Merge skipped entries back in the original order
+    let upstreamIndex = 0;
+    const data = ips.map(ip => (isRoutable(ip) ? upstream.data[upstreamIndex++] : skippedLookupResult(classifyIp(ip))));
+    return { data, meta: upstream.meta, providers: upstream.providers };
 }
 
+// ip-api fields the batch summary needs, added to the requested ones when a summary is asked for
+const SUMMARY_FIELDS = 'country,countryCode,as,asname,org,isp,hosting,proxy,mobile';
+
 /**
- * Extracts incident information section
+ * Subnet summarizer options of a "summary" request value (true or { maxPrefixWidth, maxOverCoverage })
  */
-function extractIncidentInformation(text) {
-    const patterns = [
-        /\*\*Incident Information\*\*\s*([\s\S]*?)\s*(?:\*\*Event Time\*\*|\*\*Action & Recommendation\*\*|$)/,
-        /Incident Information\s*([\s\S]*?)\s*(?:Event Time|Action & Recommendation|$)/
-    ];
-    
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match && match[1].trim()) {
-            let content = match[1].replace(/\*\*Incident Detail[^*]*\*\*/, "").trim();
-            content = content.replace(/Incident Detail:/, "").trim();
-            if (content) {
-                return content;
-            }
-        }
-    }
-    
-    return null;
+function summaryOptionsOf(summary) {
+    return typeof summary === 'object' ? summary : {};
 }
 
 /**
- * Extracts action and recommendation section
+ * Adds the requested extra lookups to ip-info results: "ptr" ({ status, hostnames })
+ * and "rdap" ({ status, network | error }). "ips" holds each result's address.
+ * RDAP is not asked about non-routable addresses.
  */
-function extractActionRecommendation(text) {
-    const patterns = [
-        /\*\*Action & Recommendation\*\*\s*([\s\S]*)/,
-        /Action & Recommendation\s*([\s\S]*)/
-    ];
-    
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match && match[1].trim()) {
-            return match[1].trim().replace(/\n\s*\n/g, "\n");
+async function addLookupExtras(results, ips, extras = []) {
+    if (extras.length === 0) return results;
+
+    const routableIps = ips.filter(isRoutable);
+    const [ptrs, networks] = await Promise.all([
+        extras.includes('ptr') ? reverseDns.lookupPtrs(ips) : null,
+        extras.includes('rdap') && routableIps.length > 0 ? rdap.lookupNetworks(routableIps) : []
+    ]);
+    const networksByIp = new Map(routableIps.map((ip, index) => [ip, networks[index]]));
+
+    return results.map((result, index) => {
+        const extended = { ...result };
+        if (ptrs) {
+            const { status, hostnames, error } = ptrs[index];
+            extended.ptr = error ? { status, hostnames, error } : { status, hostnames };
+        }
+        if (extras.includes('rdap')) {
+            const lookup = networksByIp.get(ips[index]);
+            extended.rdap = !lookup
+                ? { status: 'skipped' }
+                : lookup.status === 'success' ? { status: 'success', network: lookup.network } : { status: lookup.status, error: lookup.error };
         }
+        return extended;
+    });
+}
+
+/**
+ * Reads maxAgeInDays/verbose/concurrency options for AbuseIPDB lookups from a validated body or query string
+ */
+function parseReputationOptions(source, defaults = {}) {
+    return {
+        maxAgeInDays: source.maxAgeInDays ?? defaults.maxAgeInDays ?? 90,
+        verbose: source.verbose ?? defaults.verbose ?? true,
+        concurrency: Math.min(source.concurrency ?? Infinity, config.abuseIpdb.maxConcurrency)
+    };
+}
+
+/**
+ * Quota cost of a list of IPs: each distinct routable IP is sent upstream once,
+ * non-routable ones are answered locally
+ */
+function upstreamCost(ips) {
+    return new Set(ips.filter(isRoutable)).size;
+}
+
+/**
+ * Extracts the IPs of an ip-extract request once, ahead of metering, into req.extractedIps
+ */
+function extractRequestIps(req, res, next) {
+    req.extractedIps = extractIps(req.body.text);
+    next();
+}
+
+/**
+ * Resolves the networks of a check-block request ahead of metering into req.blockNetworks
+ * (distinct CIDRs). Without an AbuseIPDB key the request is refused before anything is charged.
+ */
+function resolveBlockNetworks(req, res, next) {
+    if (!abuseIpdb.isConfigured()) {
+        return res.status(500).json({ error: 'AbuseIPDB API key not configured' });
     }
-    
-    return null;
+
+    const { networks, subnets, ips, summarizeOptions } = req.body;
+    const candidates = networks || subnets || summarizeSubnets(ips, summarizeOptions || {}).subnets;
+    req.blockNetworks = [...new Set(candidates.map(candidate => {
+        const parsed = parseCidr(typeof candidate === 'object' ? candidate.subnet : candidate);
+        return formatCidr(parsed.network, parsed.prefixLength, parsed.version);
+    }))];
+    next();
 }
 
 /**
- * Applies filtering to extracted fields based on configuration
+ * Exposes upstream cache/quota metadata as response headers (for routes whose body is an array)
  */
-function applyFieldFilters(extractedFields, filters) {
-    const { enabled, disabled, maxFields, includeOnly } = filters;
-    
-    let filteredFields = { ...extractedFields };
-    
-    // Apply enabled filter (whitelist)
-    if (enabled && Array.isArray(enabled)) {
-        const enabledSet = new Set(enabled);
-        filteredFields = Object.fromEntries(
-            Object.entries(filteredFields).filter(([key]) => enabledSet.has(key))
-        );
+function setUpstreamHeaders(res, meta) {
+    if (!meta) return;
+    res.set('X-Cache', meta.cacheHit ? 'HIT' : 'MISS');
+    if (meta.quotaRemaining !== null && meta.quotaRemaining !== undefined) {
+        res.set('X-Upstream-Quota-Remaining', String(meta.quotaRemaining));
     }
-    
-    // Apply disabled filter (blacklist)
-    if (disabled && Array.isArray(disabled)) {
-        const disabledSet = new Set(disabled);
-        filteredFields = Object.fromEntries(
-            Object.entries(filteredFields).filter(([key]) => !disabledSet.has(key))
-        );
+    if (meta.quotaResetsAt) {
+        res.set('X-Upstream-Quota-Reset', meta.quotaResetsAt);
     }
-    
-    // Apply includeOnly filter (keyword matching)
-    if (includeOnly && Array.isArray(includeOnly)) {
-        filteredFields = Object.fromEntries(
-            Object.entries(filteredFields).filter(([key, field]) => 
-                includeOnly.some(keyword => 
-                    field.label.toLowerCase().includes(keyword.toLowerCase()) ||
-                    field.value.toLowerCase().includes(keyword.toLowerCase())
-                )
-            )
-        );
+    if (meta.chunks !== undefined) {
+        res.set('X-Batch-Chunks', String(meta.chunks));
+        res.set('X-Batch-Failed-Chunks', meta.failedChunks.map(failure => failure.chunk).join(',') || 'none');
     }
-    
-    // Apply maxFields filter (priority-based)
-    if (maxFields && typeof maxFields === 'number') {
-        const sortedEntries = Object.entries(filteredFields)
-            .map(([key, field]) => ({
-                key,
-                field,
-                priority: FIELD_CONFIG[key]?.priority || 999
-            }))
-            .sort((a, b) => a.priority - b.priority)
-            .slice(0, maxFields);
-        
-        filteredFields = Object.fromEntries(
-            sortedEntries.map(({ key, field }) => [key, field])
-        );
+}
+
+/**
+ * Answers with 429 when an upstream quota is exhausted. Returns true if the error was handled.
+ */
+function sendRateLimitError(res, error) {
+    if (!(error instanceof UpstreamRateLimitError)) return false;
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    res.status(429).json({
+        message: error.message,
+        provider: error.provider,
+        retryAfterSeconds: error.retryAfterSeconds
+    });
+    return true;
+}
+
+/**
+ * Answers with the status of a profile error (unknown name, conflict, invalid content).
+ * Returns true if the error was handled.
+ */
+function sendProfileError(res, error) {
+    if (!(error instanceof formatterProfiles.ProfileError)) return false;
+    const body = { message: error.message };
+    if (error.errors.length > 0) {
+        body.errors = error.errors.map(entry => ({ location: 'body', ...entry }));
+        body.invalid = [...new Set(error.errors.map(entry => entry.value))];
     }
-    
-    return filteredFields;
+    res.status(error.status).json(body);
+    return true;
+}
+
+/**
+ * Answers with the status of an IP list error (unknown entry). Returns true if the error was handled.
+ */
+function sendIpListError(res, error) {
+    if (!(error instanceof ipLists.IpListError)) return false;
+    res.status(error.status).json({ message: error.message });
+    return true;
+}
+
+/**
+ * Answers with the status of a job error (unknown id, already finished). Returns true if the error was handled.
+ */
+function sendJobError(res, error) {
+    if (!(error instanceof jobs.JobError)) return false;
+    res.status(error.status).json({ message: error.message });
+    return true;
+}
+
+/**
+ * Answers with the status of an API key error (unknown id). Returns true if the error was handled.
+ */
+function sendApiKeyError(res, error) {
+    if (!(error instanceof apiKeys.ApiKeyError)) return false;
+    res.status(error.status).json({ message: error.message });
+    return true;
+}
+
+/**
+ * Answers 202 for a started background job, with the URLs to follow it
+ */
+function sendJobAccepted(res, job) {
+    const base = `/api/jobs/${job.id}`;
+    res.set('Location', base);
+    res.status(202).json({ ...job, links: { status: base, events: `${base}/events`, results: `${base}/results` } });
 }
 
 // ============================================================================
@@ -328,30 +276,49 @@ function applyFieldFilters(extractedFields, filters) {
 
 /**
  * @route   GET /api/ip-info/:ip?
- * @desc    Get geolocation info for a specific IP or the requesting IP.
- * @access  Public
+ * @desc    Get geolocation info for a specific IP or the requesting IP, from the configured
+ *          provider chain (ip-api and/or a local MMDB/CSV database; see X-Geo-Provider).
+ *          ?extras=ptr,rdap adds reverse DNS and RDAP registration data.
+ * @access  Lookup
  */
-app.get('/api/ip-info/:ip?', async (req, res) => {
+app.get('/api/ip-info/:ip?', validate({
+  summary: 'Geolocation for one IP (or the caller)',
+  tags: ['IP information'],
+  params: { type: 'object', properties: { ip: schemas.ip } },
+  query: { type: 'object', properties: { fields: schemas.fields, extras: schemas.lookupExtrasQuery } }
+}), meterUpstream(), async (req, res) => {
   const targetIp = req.params.ip || '';
+  const extras = req.query.extras ? req.query.extras.split(',') : [];
+
+  if (targetIp && !isRoutable(targetIp)) {
+    const [result] = await addLookupExtras([skippedLookupResult(classifyIp(targetIp))], [targetIp], extras);
+    return res.status(200).json([ipLists.annotate(result, targetIp)]);
+  }
+
   const defaultFields = 'status,message,country,countryCode,region,regionName,city,zip,lat,lon,timezone,isp,org,as,query';
   const fields = getFieldsQuery(req.query.fields, defaultFields);
   
-  const apiUrl = `http://ip-api.com/json/${targetIp}?fields=${fields}`;
-  console.log(`Making request to: ${apiUrl}`); 
+  console.log(`Looking up IP "${targetIp}" with fields: ${fields}`); 
 
   try {
-    const response = await axios.get(apiUrl);
+    const { data, meta, provider } = await geoProviders.lookupGeolocation(targetIp, fields);
+    setUpstreamHeaders(res, meta);
+    res.set('X-Geo-Provider', provider);
 
-    if (response.data.status === 'success') {
-      res.status(200).json([response.data]); 
+    if (data.status === 'success') {
+      lookupHistory.recordGeolocation([data], req.client);
+      const ip = data.query || targetIp;
+      const [result] = await addLookupExtras([data], [ip], extras);
+      res.status(200).json([ipLists.annotate(result, ip)]);
     } else {
-      console.error('ip-api returned an error:', response.data.message);
+      console.error('ip-api returned an error:', data.message);
       res.status(400).json({
         message: 'Failed to retrieve IP information.',
-        error: response.data.message || 'The external API returned a failure status.'
+        error: data.message || 'The external API returned a failure status.'
       });
     }
   } catch (error) {
+    if (sendRateLimitError(res, error)) return;
     console.error('Error fetching data from ip-api:', error.message);
     res.status(500).json({ message: 'An error occurred on the server.' });
   }
@@ -359,25 +326,60 @@ app.get('/api/ip-info/:ip?', async (req, res) => {
 
 /**
  * @route   POST /api/ip-info/batch
- * @desc    Get geolocation info for a list of IPs.
- * @access  Public
+ * @desc    Get geolocation info for a list of IPs. Repeated IPs are looked up once and the list
+ *          is sent upstream in paced 100-IP chunks; IPs from a failed chunk come back with
+ *          status "fail" (see the X-Batch-Failed-Chunks header) while the rest still succeed.
+ *          "extras": ["ptr", "rdap"] adds reverse DNS and RDAP registration data to each result.
+ *          "summary": true (or subnet summarizer options) answers { results, summary } with counts
+ *          by country, ASN, org and ISP; the ip-api fields the summary needs are then requested too.
+ *          With "async": true the lookup runs as a background job (202 with the job links).
+ * @access  Lookup
  */
-app.post('/api/ip-info/batch', async (req, res) => {
-  const { ips, fields: requestedFields } = req.body;
+app.post('/api/ip-info/batch', validate({
+  summary: 'Geolocation for a list of IPs',
+  tags: ['IP information'],
+  body: {
+    type: 'object',
+    properties: {
+      ips: schemas.ipList,
+      fields: schemas.fields,
+      extras: schemas.lookupExtras,
+      summary: schemas.batchSummary,
+      async: schemas.asyncFlag
+    },
+    required: ['ips']
+  }
+}), meterUpstream(req => upstreamCost(req.body.ips)), async (req, res) => {
+  const { ips, extras, summary } = req.body;
+  // A numeric field mask cannot be combined with field names
+  const requestedFields = summary && !/^\d+$/.test(req.body.fields || '')
+    ? [req.body.fields || 'status,message,query,country,city', SUMMARY_FIELDS].join(',')
+    : req.body.fields;
+  const summarizeResults = (results) => batchSummary.summarizeBatch(
+    batchSummary.recordsFromGeolocation(results, results.map(entry => entry.query)),
+    summaryOptionsOf(summary)
+  );
 
-  if (!ips || !Array.isArray(ips) || ips.length === 0) {
-    return res.status(400).json({ message: 'Request body must contain an array of IPs.' });
+  if (req.body.async) {
+    const jobOptions = { chunkSize: 100, params: { fields: requestedFields }, summarizeResults: summary ? summarizeResults : null, client: req.client };
+    const job = jobs.startJob('ip-info', ips, jobOptions, async (chunk) => {
+      const { data } = await fetchBatchGeolocation(chunk, requestedFields);
+      lookupHistory.recordGeolocation(data, req.client);
+      const results = await addLookupExtras(data, chunk, extras);
+      return results.map((entry, index) => ipLists.annotate(entry, entry.query || chunk[index]));
+    });
+    return sendJobAccepted(res, job);
   }
   
-  const defaultFields = 'status,message,query,country,city';
-  const fields = getFieldsQuery(requestedFields, defaultFields);
-  const apiUrl = `http://ip-api.com/batch?fields=${fields}`;
-
   try {
-    console.log(`Querying batch IPs with fields: ${fields}`);
-    const response = await axios.post(apiUrl, ips);
-    res.status(200).json(response.data);
+    const { data, meta, providers } = await fetchBatchGeolocation(ips, requestedFields);
+    setUpstreamHeaders(res, meta);
+    if (providers.length > 0) res.set('X-Geo-Provider', providers.join(','));
+    lookupHistory.recordGeolocation(data, req.client);
+    const results = (await addLookupExtras(data, ips, extras)).map((entry, index) => ipLists.annotate(entry, entry.query || ips[index]));
+    res.status(200).json(summary ? { results, summary: summarizeResults(results) } : results);
   } catch (error) {
+    if (sendRateLimitError(res, error)) return;
     console.error('Error fetching batch data from ip-api:', error.message);
     res.status(500).json({ message: 'An error occurred on the server.' });
   }
@@ -385,46 +387,45 @@ app.post('/api/ip-info/batch', async (req, res) => {
 
 /**
  * @route   GET /api/abuseipdb/:ip
- * @desc    Look up IP in AbuseIPDB
- * @access  Public
+ * @desc    Look up IP in AbuseIPDB (optional ?maxAgeInDays=1-365, default 90, and ?verbose=false)
+ * @access  Lookup
  */
-app.get('/api/abuseipdb/:ip', async (req, res) => {
+app.get('/api/abuseipdb/:ip', validate({
+    summary: 'AbuseIPDB reputation for one IP',
+    tags: ['Reputation'],
+    params: { type: 'object', properties: { ip: schemas.ip }, required: ['ip'] },
+    query: { type: 'object', properties: { maxAgeInDays: schemas.reputationOptions.maxAgeInDays, verbose: schemas.reputationOptions.verbose } }
+}), meterUpstream(), async (req, res) => {
     const { ip } = req.params;
-    const API_KEY = process.env.ABUSEIPDB_API_KEY; 
     
-    if (!API_KEY) {
+    if (!isRoutable(ip)) {
+        const classification = classifyIp(ip);
+        return res.status(200).json(ipLists.annotate({
+            skipped: true,
+            message: `${classification.name} address (${classification.category}); AbuseIPDB lookup skipped`,
+            classification,
+            data: { ipAddress: classification.ip, isPublic: false, ipVersion: classification.version }
+        }, ip));
+    }
+    
+    if (!abuseIpdb.isConfigured()) {
         return res.status(500).json({ 
             error: 'AbuseIPDB API key not configured' 
         });
     }
     
+    const options = parseReputationOptions(req.query);
+    
     try {
-        const url = new URL('https://api.abuseipdb.com/api/v2/check');
-        url.searchParams.append('ipAddress', ip);
-        url.searchParams.append('maxAgeInDays', '90');
-        url.searchParams.append('verbose', '');
-        
-        const response = await fetch(url.toString(), {
-            method: 'GET',
-            headers: {
-                'Key': API_KEY,
-                'Accept': 'application/json'
-            }
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`AbuseIPDB API error ${response.status}:`, errorText);
-            throw new Error(`AbuseIPDB API responded with status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const { data, meta } = await abuseIpdb.checkIp(ip, options);
         
         console.log('AbuseIPDB API Response:', JSON.stringify(data, null, 2));
+        lookupHistory.recordReputation([abuseIpdb.normalizeCheckResult(data.data)], req.client);
         
-        res.json(data);
+        res.json(ipLists.annotate({ ...data, meta }, ip));
         
     } catch (error) {
+        if (sendRateLimitError(res, error)) return;
         console.error('AbuseIPDB lookup failed:', error);
         res.status(500).json({ 
             error: 'AbuseIPDB lookup failed',
@@ -433,172 +434,1360 @@ app.get('/api/abuseipdb/:ip', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/abuseipdb/batch
+ * @desc    Check a list of IPs in AbuseIPDB with bounded concurrency, returning compact
+ *          reputation records (score, reports, last reported, usage type, top categories).
+ *          "summary": true adds counts by country and ISP and the abuse-score distribution.
+ *          With "async": true the checks run as a background job (202 with the job links).
+ * @access  Lookup
+ */
+app.post('/api/abuseipdb/batch', validate({
+    summary: 'AbuseIPDB reputation for a list of IPs',
+    tags: ['Reputation'],
+    body: {
+        type: 'object',
+        properties: { ips: schemas.ipList, ...schemas.reputationOptions, summary: schemas.batchSummary, async: schemas.asyncFlag },
+        required: ['ips']
+    }
+}), meterUpstream(req => upstreamCost(req.body.ips)), async (req, res) => {
+    const { ips, summary } = req.body;
+    const summarizeResults = (results) => batchSummary.summarizeBatch(batchSummary.recordsFromReputation(results), summaryOptionsOf(summary));
+
+    if (!abuseIpdb.isConfigured()) {
+        return res.status(500).json({ error: 'AbuseIPDB API key not configured' });
+    }
+
+    const options = parseReputationOptions(req.body);
+
+    if (req.body.async) {
+        const params = { maxAgeInDays: options.maxAgeInDays, verbose: options.verbose };
+        const jobOptions = { chunkSize: 25, params, summarizeResults: summary ? summarizeResults : null, client: req.client };
+        const job = jobs.startJob('abuseipdb', [...new Set(ips)], jobOptions, async (chunk) => {
+            const { results } = await abuseIpdb.checkIps(chunk, options);
+            lookupHistory.recordReputation(results.map(result => result.reputation), req.client);
+            return results.map(result => ipLists.annotate(result, result.ip));
+        });
+        return sendJobAccepted(res, job);
+    }
+
+    try {
+        const { results, meta } = await abuseIpdb.checkIps(ips, options);
+        lookupHistory.recordReputation(results.map(result => result.reputation), req.client);
+        res.status(200).json({
+            results: results.map(result => ipLists.annotate(result, result.ip)),
+            meta: { ...meta, maxAgeInDays: options.maxAgeInDays, verbose: options.verbose },
+            ...(summary ? { summary: summarizeResults(results) } : {})
+        });
+    } catch (error) {
+        console.error('AbuseIPDB batch lookup failed:', error);
+        res.status(500).json({ error: 'AbuseIPDB batch lookup failed', message: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/abuseipdb/check-block
+ * @desc    Check whole networks in AbuseIPDB. Accepts "networks" (CIDR strings), "subnets"
+ *          (the /api/subnets/summarize output, strings or detail objects), or "ips" to
+ *          summarize first. Non-routable networks are skipped.
+ * @access  Lookup
+ */
+app.post('/api/abuseipdb/check-block', validate({
+    summary: 'AbuseIPDB reports for whole networks',
+    tags: ['Reputation'],
+    body: {
+        type: 'object',
+        properties: {
+            networks: schemas.networkList,
+            subnets: schemas.networkList,
+            ips: schemas.ipList,
+            summarizeOptions: schemas.summarizeOptions,
+            ...schemas.reputationOptions
+        },
+        anyOf: [{ required: ['networks'] }, { required: ['subnets'] }, { required: ['ips'] }],
+        errorMessage: 'must contain "networks", "subnets" or "ips"'
+    }
+}), resolveBlockNetworks, meterUpstream(req => req.blockNetworks.filter(network => isRoutable(network.split('/')[0])).length), async (req, res) => {
+    const options = parseReputationOptions(req.body, { maxAgeInDays: 30 });
+
+    try {
+        const results = await mapWithConcurrency(req.blockNetworks, options.concurrency, async (network) => {
+            const networkAddress = network.split('/')[0];
+            if (!isRoutable(networkAddress)) {
+                return { network, status: 'skipped', classification: classifyIp(networkAddress) };
+            }
+            try {
+                const { data } = await abuseIpdb.checkBlock(network, options);
+                return { network, status: 'success', block: abuseIpdb.normalizeBlockResult(data.data) };
+            } catch (error) {
+                console.error(`AbuseIPDB check-block failed for ${network}:`, error.message);
+                return { network, status: 'fail', error: error.message };
+            }
+        });
+
+        res.status(200).json({ results, meta: { maxAgeInDays: options.maxAgeInDays } });
+    } catch (error) {
+        console.error('AbuseIPDB check-block failed:', error);
+        res.status(500).json({ error: 'AbuseIPDB check-block failed', message: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/ip-classify/:ip
+ * @desc    Classify an IP against the IANA special-purpose registries (private, loopback, CGNAT, ...).
+ * @access  Lookup
+ */
+app.get('/api/ip-classify/:ip', validate({
+  summary: 'Special-purpose classification of one IP',
+  tags: ['IP information'],
+  params: { type: 'object', properties: { ip: schemas.ip }, required: ['ip'] }
+}), (req, res) => {
+  const classification = classifyIp(req.params.ip);
+  res.status(200).json(classification);
+});
+
+/**
+ * @route   POST /api/ip-classify
+ * @desc    Classify a list of IPs against the IANA special-purpose registries.
+ * @access  Lookup
+ */
+app.post('/api/ip-classify', validate({
+  summary: 'Special-purpose classification of a list of IPs',
+  tags: ['IP information'],
+  body: { type: 'object', properties: { ips: schemas.ipList }, required: ['ips'] }
+}), (req, res) => {
+  const { ips } = req.body;
+
+  const results = ips.map(classifyIp);
+
+  res.status(200).json({
+    results,
+    routableCount: results.filter(entry => entry.globallyReachable).length
+  });
+});
+
+// ============================================================================
+// ROUTES - OWNERSHIP (REVERSE DNS, RDAP)
+// ============================================================================
+
+/**
+ * @route   GET /api/reverse-dns/:ip
+ * @desc    PTR records of an IP. 404 when the address has none, 502 when the resolver fails.
+ * @access  Lookup
+ */
+app.get('/api/reverse-dns/:ip', validate({
+    summary: 'Reverse DNS (PTR) of one IP',
+    tags: ['Ownership'],
+    params: { type: 'object', properties: { ip: schemas.ip }, required: ['ip'] }
+}), meterUpstream(), async (req, res) => {
+    try {
+        const { cacheHit, ...result } = await reverseDns.lookupPtr(req.params.ip);
+        res.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+        const status = { success: 200, 'not-found': 404, fail: 502 }[result.status];
+        res.status(status).json(result);
+    } catch (error) {
+        console.error('Reverse DNS lookup failed:', error.message);
+        res.status(500).json({ message: 'An error occurred on the server.' });
+    }
+});
+
+/**
+ * @route   GET /api/rdap/:ip
+ * @desc    Registration of the network containing an IP, from the regional registry chosen via
+ *          the IANA RDAP bootstrap: network name, CIDRs, registrant, abuse contact email and
+ *          registration dates. Non-routable addresses are not looked up.
+ * @access  Lookup
+ */
+app.get('/api/rdap/:ip', validate({
+    summary: 'RDAP network registration of one IP',
+    tags: ['Ownership'],
+    params: { type: 'object', properties: { ip: schemas.ip }, required: ['ip'] }
+}), meterUpstream(), async (req, res) => {
+    const { ip } = req.params;
+
+    if (!isRoutable(ip)) {
+        const classification = classifyIp(ip);
+        return res.status(200).json({
+            ip: classification.ip,
+            status: 'skipped',
+            message: `${classification.name} address (${classification.category}); RDAP lookup skipped`,
+            classification
+        });
+    }
+
+    try {
+        const { meta, ...result } = await rdap.lookupNetwork(ip);
+        setUpstreamHeaders(res, meta);
+        const status = { success: 200, 'not-found': 404, fail: 502 }[result.status];
+        res.status(status).json(result);
+    } catch (error) {
+        if (sendRateLimitError(res, error)) return;
+        console.error('RDAP lookup failed:', error.message);
+        res.status(500).json({ message: 'An error occurred on the server.' });
+    }
+});
+
 // ============================================================================
-// ROUTES - SUBNET OPERATIONS
+// ROUTES - ENRICHMENT
 // ============================================================================
 
 /**
- * @route   POST /api/subnets/summarize
- * @desc    Summarize a batch of IP addresses into minimal covering subnets (/24–/32).
- * @access  Public
+ * @route   GET /api/enrich/:ip
+ * @desc    Geolocation, ASN/ISP, hosting/proxy flags and AbuseIPDB reputation for one IP,
+ *          with a benign/suspicious/malicious verdict and the reasons behind it.
+ * @access  Lookup
  */
-app.post('/api/subnets/summarize', (req, res) => {
-  const { ips } = req.body;
+app.get('/api/enrich/:ip', validate({
+  summary: 'Geolocation, reputation and verdict for one IP',
+  tags: ['Enrichment'],
+  params: { type: 'object', properties: { ip: schemas.ip }, required: ['ip'] },
+  query: { type: 'object', properties: { maxAgeInDays: schemas.reputationOptions.maxAgeInDays } }
+}), meterUpstream(), async (req, res) => {
+  const options = parseReputationOptions(req.query);
 
-  if (!ips || !Array.isArray(ips) || ips.length === 0) {
-    return res.status(400).json({ message: 'Request body must contain an array of IPs.' });
+  try {
+    const { results } = await enrichIps([req.params.ip], { maxAgeInDays: options.maxAgeInDays });
+    res.status(200).json(results[0]);
+  } catch (error) {
+    console.error('Error enriching IP:', error.message);
+    res.status(500).json({ message: 'An error occurred on the server.' });
+  }
+});
+
+/**
+ * @route   POST /api/enrich/batch
+ * @desc    Enrich a list of IPs. Optional "thresholds" ({ suspicious, malicious, flagProxy,
+ *          flagHosting, flagTor }) and "watchlists" ({ countries, asns }) override the
+ *          configured verdict policy. A failing provider does not drop the other's data.
+ *          "summary": true (or subnet summarizer options) adds the batch summary block.
+ * @access  Lookup
+ */
+app.post('/api/enrich/batch', validate({
+  summary: 'Geolocation, reputation and verdicts for a list of IPs',
+  tags: ['Enrichment'],
+  body: {
+    type: 'object',
+    properties: {
+      ips: schemas.ipList,
+      maxAgeInDays: schemas.reputationOptions.maxAgeInDays,
+      ...schemas.verdictOverrides,
+      summary: schemas.batchSummary
+    },
+    required: ['ips']
   }
+}), meterUpstream(req => upstreamCost(req.body.ips)), async (req, res) => {
+  const { ips, thresholds, watchlists, summary } = req.body;
+
+  const options = parseReputationOptions(req.body);
 
   try {
-    const subnets = summarizeSubnets(ips);
-    res.status(200).json({ subnets });
+    const enriched = await enrichIps(ips, { thresholds, watchlists, maxAgeInDays: options.maxAgeInDays });
+    if (summary) enriched.summary = batchSummary.summarizeBatch(enriched.results, summaryOptionsOf(summary), thresholds);
+    res.status(200).json(enriched);
   } catch (error) {
-    console.error('Error summarizing IPs:', error.message);
+    console.error('Error enriching IPs:', error.message);
     res.status(500).json({ message: 'An error occurred on the server.' });
   }
 });
 
 // ============================================================================
-// ROUTES - REPORT FORMATTING
+// ROUTES - SUBNET OPERATIONS
 // ============================================================================
 
 /**
- * @route   POST /api/format-report
- * @desc    Formats raw incident text for TheHive with configurable field extraction and filtering.
- * @access  Public
+ * @route   POST /api/subnets/summarize
+ * @desc    Summarize a batch of IPv4/IPv6 addresses into minimal covering subnets (/0–/32, /0–/128).
+ *          Optional "maxPrefixWidth" (number or { ipv4, ipv6 }) caps how wide a prefix may grow,
+ *          and "maxOverCoverage" (percent) allows merging into blocks that include unlisted addresses.
+ * @access  Lookup
  */
-app.post('/api/format-report', (req, res) => {
-    const { rawText, customFields, fieldFilters = {}, sections = {} } = req.body;
-
-    if (!rawText || typeof rawText !== 'string') {
-        return res.status(400).json({ message: 'Request body must contain a "rawText" string.' });
-    }
-
-    try {
-        const cutoffRegex = /\n\s*(Graph|Additional detail)/i;
-        const cutoffMatch = rawText.match(cutoffRegex);
-        const textToParse = cutoffMatch ? rawText.substring(0, cutoffMatch.index) : rawText;
-
-        let formattedString = "";
-        
-        const fieldConfig = customFields ? { ...FIELD_CONFIG, ...customFields } : FIELD_CONFIG;
-        const sectionConfig = { ...SECTION_CONFIG, ...sections };
-        
-        // Extract general information fields
-        let extractedFields = {};
-        let hasGeneralInfo = false;
-        
-        for (const [fieldKey, config] of Object.entries(fieldConfig)) {
-            if (config.section === 'general' && config.enabled !== false) {
-                const value = extractFieldValue(textToParse, config);
-                if (value) {
-                    extractedFields[fieldKey] = {
-                        label: config.outputLabel,
-                        value: value
-                    };
-                    hasGeneralInfo = true;
-                }
-            }
-        }
-        
-        // Apply field filters
-        extractedFields = applyFieldFilters(extractedFields, fieldFilters);
-        hasGeneralInfo = Object.keys(extractedFields).length > 0;
-        
-        // Format general information section
-        if (hasGeneralInfo && sectionConfig.general?.enabled !== false) {
-            formattedString += `    ${sectionConfig.general?.label || 'Incident General Information'}\n`;
-            
-            const fieldOrder = ['category', 'subCategories', 'deviceAction', 'severity', 'dateOfIssue', 'startTime', 'endTime', 'destinationPort'];
-            
-            for (const fieldKey of fieldOrder) {
-                if (extractedFields[fieldKey]) {
-                    formattedString += `${extractedFields[fieldKey].label} : ${extractedFields[fieldKey].value}\n`;
-                }
-            }
-            
-            for (const [fieldKey, field] of Object.entries(extractedFields)) {
-                if (!fieldOrder.includes(fieldKey)) {
-                    formattedString += `${field.label} : ${field.value}\n`;
-                }
-            }
-        }
+app.post('/api/subnets/summarize', validate({
+  summary: 'Summarize IPs into covering subnets',
+  tags: ['Subnets'],
+  body: { ...schemas.summarizeOptions, properties: { ips: schemas.ipList, ...schemas.summarizeOptions.properties }, required: ['ips'] }
+}), (req, res) => {
+  const { ips, maxPrefixWidth, maxOverCoverage } = req.body;
 
-        // Extract and format incident information
-        if (sectionConfig.incidentInfo?.enabled !== false) {
-            const incidentInfo = extractIncidentInformation(textToParse);
-            if (incidentInfo) {
-                formattedString += `\n    ${sectionConfig.incidentInfo?.label || 'Incident Information'}\n`;
-                formattedString += `${incidentInfo}\n`;
-            }
-        }
+  try {
+    const result = summarizeSubnets(ips, { maxPrefixWidth, maxOverCoverage });
 
-        // Extract and format action & recommendation
-        if (sectionConfig.actionRecommendation?.enabled !== false) {
-            const actionRecommendation = extractActionRecommendation(textToParse);
-            if (actionRecommendation) {
-                formattedString += `\n    ${sectionConfig.actionRecommendation?.label || 'Action & Recommendation'}\n`;
-                formattedString += `${actionRecommendation}\n`;
-            }
-        }
+    res.status(200).json({
+      subnets: result.subnets.map(entry => entry.subnet),
+      details: result.subnets,
+      invalid: result.invalid,
+      duplicates: result.duplicates,
+      listMatches: [...new Set(ips)].map(ip => ({ ip, matches: ipLists.matchIp(ip) })).filter(entry => entry.matches.length > 0)
+    });
+  } catch (error) {
+    console.error('Error summarizing IPs:', error.message);
+    res.status(500).json({ message: 'An error occurred on the server.' });
+  }
+});
 
-        res.status(200).json({ 
-            formattedText: formattedString.trimEnd(),
-            extractedFields: extractedFields,
-            appliedFilters: fieldFilters,
-            sectionsIncluded: Object.keys(sectionConfig).filter(key => sectionConfig[key]?.enabled !== false)
-        });
+/**
+ * @route   GET /api/subnets/info
+ * @desc    Network, broadcast, first/last host, host count, netmask and wildcard of ?cidr=
+ *          (IPv4 or IPv6; a bare IP is treated as /32 or /128)
+ * @access  Lookup
+ */
+app.get('/api/subnets/info', validate({
+    summary: 'Details of a CIDR network',
+    tags: ['Subnets'],
+    query: { type: 'object', properties: { cidr: schemas.cidr }, required: ['cidr'] }
+}), (req, res) => {
+    res.status(200).json(subnets.cidrInfo(req.query.cidr));
+});
 
-    } catch (error) {
-        console.error('Error formatting report:', error);
-        res.status(500).json({ message: 'An error occurred on the server while formatting the report.' });
+/**
+ * @route   POST /api/subnets/range-to-cidr
+ * @desc    Convert address ranges ("10.0.0.5-10.0.1.20") into minimal CIDR lists
+ * @access  Lookup
+ */
+app.post('/api/subnets/range-to-cidr', validate({
+    summary: 'Convert address ranges to CIDR lists',
+    tags: ['Subnets'],
+    body: {
+        type: 'object',
+        properties: { ranges: { type: 'array', minItems: 1, items: schemas.ipRange } },
+        required: ['ranges']
     }
+}), (req, res) => {
+    res.status(200).json({
+        results: req.body.ranges.map(range => ({ range, cidrs: subnets.rangeToCidrs(range) }))
+    });
 });
 
 /**
- * @route   GET /api/format-report/config
- * @desc    Get current field and section configuration
- * @access  Public
+ * @route   POST /api/subnets/cidr-to-range
+ * @desc    Convert CIDR networks into their first and last address
+ * @access  Lookup
  */
-app.get('/api/format-report/config', (req, res) => {
+app.post('/api/subnets/cidr-to-range', validate({
+    summary: 'Convert CIDR networks to address ranges',
+    tags: ['Subnets'],
+    body: { type: 'object', properties: { networks: schemas.cidrList }, required: ['networks'] }
+}), (req, res) => {
     res.status(200).json({
-        fieldConfig: FIELD_CONFIG,
-        sectionConfig: SECTION_CONFIG
+        results: req.body.networks.map(network => {
+            const { cidr, start, end } = subnets.cidrToRange(network);
+            return { cidr, start, end, range: `${start}-${end}` };
+        })
     });
 });
 
 /**
- * @route   POST /api/format-report/config
- * @desc    Update field and section configuration for report formatting
- * @access  Public
+ * @route   POST /api/subnets/contains
+ * @desc    Check which of "ips" fall inside any of "networks". Each result lists the
+ *          matching networks, most specific first.
+ * @access  Lookup
  */
-app.post('/api/format-report/config', (req, res) => {
-    const { fieldConfig, sectionConfig } = req.body;
-    
-    if (!fieldConfig && !sectionConfig) {
-        return res.status(400).json({ message: 'Request body must contain "fieldConfig" and/or "sectionConfig" object.' });
+app.post('/api/subnets/contains', validate({
+    summary: 'Check IPs against a list of networks',
+    tags: ['Subnets'],
+    body: {
+        type: 'object',
+        properties: { ips: schemas.ipList, networks: schemas.cidrList },
+        required: ['ips', 'networks']
     }
-    
-    try {
-        if (fieldConfig && typeof fieldConfig === 'object') {
-            Object.assign(FIELD_CONFIG, fieldConfig);
+}), (req, res) => {
+    const { ips, networks } = req.body;
+    const results = ips.map(ip => {
+        const matches = subnets.findContainingNetworks(ip, networks);
+        return { ip, contained: matches.length > 0, networks: matches };
+    });
+    res.status(200).json({ results, containedCount: results.filter(result => result.contained).length });
+});
+
+/**
+ * @route   POST /api/subnets/set
+ * @desc    Set operations on lists of prefixes: "union" (in any list), "intersection"
+ *          (in every list) or "subtract" (in the first list, in none of the others).
+ *          The result is returned as a minimal CIDR list; IPv4 and IPv6 are handled separately.
+ * @access  Lookup
+ */
+app.post('/api/subnets/set', validate({
+    summary: 'Union, intersection or subtraction of prefix lists',
+    tags: ['Subnets'],
+    body: {
+        type: 'object',
+        properties: {
+            operation: { type: 'string', enum: subnets.SET_OPERATIONS },
+            sets: { type: 'array', minItems: 1, items: { type: 'array', items: schemas.cidr }, description: 'Lists of CIDRs' }
+        },
+        required: ['operation', 'sets']
+    }
+}), (req, res) => {
+    const { operation, sets } = req.body;
+    const result = subnets.combineNetworks(operation, sets);
+    const addressCount = result.reduce((total, network) => total + BigInt(subnets.cidrInfo(network).addressCount), 0n);
+    res.status(200).json({ operation, result, addressCount: addressCount.toString() });
+});
+
+/**
+ * @route   POST /api/subnets/export
+ * @desc    Render networks as block rules for a firewall "target": iptables, nftables, cisco-acl,
+ *          paloalto-edl, paloalto-address-group, fortigate, netsh, powershell or edl (plain list).
+ *          Accepts "networks", "subnets" (the summarize output) or "ips" to summarize first.
+ *          Ranges in "allowlist" and FIREWALL_PROTECTED_RANGES are never blocked; entries they
+ *          remove or split are listed in "removed" with the reason.
+ * @access  Lookup
+ */
+app.post('/api/subnets/export', validate({
+    summary: 'Export networks as firewall block rules',
+    tags: ['Subnets'],
+    body: {
+        type: 'object',
+        properties: {
+            networks: schemas.networkList,
+            subnets: schemas.networkList,
+            ips: schemas.ipList,
+            summarizeOptions: schemas.summarizeOptions,
+            target: { type: 'string', enum: EXPORT_TARGETS },
+            prefix: {
+                type: 'string',
+                pattern: '^[A-Za-z0-9_.-]{0,31}$',
+                errorMessage: 'must be up to 31 letters, digits, ".", "_" or "-"',
+                description: `Object/rule name prefix (default FIREWALL_NAME_PREFIX, "${config.firewall.namePrefix}")`
+            },
+            comment: schemas.ruleComment,
+            ticket: { ...schemas.ruleComment, maxLength: 64, description: 'Ticket reference, prepended to the comment' },
+            direction: { type: 'string', enum: DIRECTIONS, description: 'Traffic to block (default inbound)' },
+            allowlist: { type: 'array', items: schemas.cidr, description: 'Protected ranges that must never be blocked' }
+        },
+        required: ['target'],
+        anyOf: [{ required: ['networks'] }, { required: ['subnets'] }, { required: ['ips'] }],
+        errorMessage: 'must contain "networks", "subnets" or "ips"'
+    }
+}), (req, res) => {
+    const { networks, subnets: summarized, ips, summarizeOptions, target, prefix = config.firewall.namePrefix, comment, ticket, direction, allowlist = [] } = req.body;
+
+    const candidates = (networks || summarized || summarizeSubnets(ips, summarizeOptions || {}).subnets)
+        .map(candidate => (typeof candidate === 'object' ? candidate.subnet : candidate));
+
+    res.status(200).json(exportBlockRules(candidates, target, {
+        prefix,
+        comment,
+        ticket,
+        direction,
+        allowlist: [...config.firewall.protectedRanges, ...allowlist]
+    }));
+});
+
+// ============================================================================
+// ROUTES - IP EXTRACTION
+// ============================================================================
+
+/**
+ * @route   POST /api/ip-extract
+ * @desc    Extract IPv4/IPv6 addresses (including defanged forms) from raw log text.
+ *          Set "summarize" (true or summarize options) and/or "lookup" (true or { fields })
+ *          to feed the extracted set into subnet summarization or batch geolocation.
+ *          A lookup counts each unique routable extracted IP against the API key's daily quota.
+ * @access  Lookup
+ */
+app.post('/api/ip-extract', validate({
+  summary: 'Extract IPs from raw log text',
+  tags: ['Subnets'],
+  body: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      summarize: { anyOf: [{ type: 'boolean' }, schemas.summarizeOptions] },
+      lookup: { anyOf: [{ type: 'boolean' }, { type: 'object', properties: { fields: schemas.fields } }] }
+    },
+    required: ['text']
+  }
+}), extractRequestIps, meterUpstream(req => (req.body.lookup ? upstreamCost(req.extractedIps.map(entry => entry.ip)) : 0)), async (req, res) => {
+  const { summarize, lookup } = req.body;
+
+  try {
+    const extracted = req.extractedIps;
+    const ips = extracted.map(entry => entry.ip);
+    const response = {
+      ips: extracted,
+      uniqueCount: ips.length,
+      occurrenceCount: extracted.reduce((sum, entry) => sum + entry.count, 0)
+    };
+
+    if (summarize && ips.length > 0) {
+      const options = typeof summarize === 'object' ? summarize : {};
+      response.subnets = summarizeSubnets(ips, options).subnets;
+    }
+
+    if (lookup && ips.length > 0) {
+      const requestedFields = typeof lookup === 'object' ? lookup.fields : undefined;
+      response.geolocation = (await fetchBatchGeolocation(ips, requestedFields)).data;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    if (sendRateLimitError(res, error)) return;
+    console.error('Error extracting IPs:', error.message);
+    res.status(500).json({ message: 'An error occurred on the server.' });
+  }
+});
+
+// ============================================================================
+// ROUTES - JOBS
+// ============================================================================
+
+const jobIdParams = { type: 'object', properties: { id: { type: 'string', minLength: 1 } }, required: ['id'] };
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List background jobs, newest first (?type=, ?status=). API keys see their own jobs;
+ *          admins see every job. Jobs of other keys answer 404 on every job route.
+ * @access  Lookup
+ */
+app.get('/api/jobs', validate({
+    summary: 'List background jobs',
+    tags: ['Jobs'],
+    query: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', minLength: 1 },
+            status: { type: 'string', enum: jobs.JOB_STATUSES }
         }
-        
-        if (sectionConfig && typeof sectionConfig === 'object') {
-            Object.assign(SECTION_CONFIG, sectionConfig);
+    }
+}), (req, res) => {
+    res.status(200).json({ jobs: jobs.listJobs(req.query, req.client) });
+});
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Status and progress of a background job
+ * @access  Lookup
+ */
+app.get('/api/jobs/:id', validate({
+    summary: 'Status of a background job',
+    tags: ['Jobs'],
+    params: jobIdParams
+}), (req, res) => {
+    try {
+        res.status(200).json(jobs.getJob(req.params.id, req.client));
+    } catch (error) {
+        if (sendJobError(res, error)) return;
+        console.error('Error reading job:', error);
+        res.status(500).json({ message: 'An error occurred while reading the job.' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/:id/results
+ * @desc    Results gathered so far (?offset=, ?limit=). "partial" stays true until the job completes;
+ *          cancelled and failed jobs keep the results of the chunks that finished.
+ * @access  Lookup
+ */
+app.get('/api/jobs/:id/results', validate({
+    summary: 'Results of a background job',
+    tags: ['Jobs'],
+    params: jobIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            offset: { type: 'integer', minimum: 0 },
+            limit: { type: 'integer', minimum: 1 }
         }
+    }
+}), (req, res) => {
+    try {
+        res.status(200).json(jobs.getJobResults(req.params.id, req.query, req.client));
+    } catch (error) {
+        if (sendJobError(res, error)) return;
+        console.error('Error reading job results:', error);
+        res.status(500).json({ message: 'An error occurred while reading the job results.' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/:id/events
+ * @desc    Server-Sent Events stream of a job: a "progress" event per processed chunk and a
+ *          final "done" event, each carrying the job status; the stream closes after "done".
+ * @access  Lookup
+ */
+app.get('/api/jobs/:id/events', validate({
+    summary: 'Progress stream of a background job (SSE)',
+    tags: ['Jobs'],
+    params: jobIdParams
+}), (req, res) => {
+    let current;
+    try {
+        current = jobs.getJob(req.params.id, req.client);
+    } catch (error) {
+        if (sendJobError(res, error)) return;
+        console.error('Error reading job:', error);
+        return res.status(500).json({ message: 'An error occurred while reading the job.' });
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    res.flushHeaders();
+
+    let unsubscribe = () => {};
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    const send = (summary) => {
+        const finished = jobs.isFinished(summary.status);
+        res.write(`event: ${finished ? 'done' : 'progress'}\ndata: ${JSON.stringify(summary)}\n\n`);
+        if (finished) close();
+    };
+
+    res.on('close', close);
+    if (jobs.isFinished(current.status)) return send(current);
+    unsubscribe = jobs.onJobUpdate(req.params.id, send);
+    send(current);
+});
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a queued or running job; it stops before its next chunk and keeps partial results
+ * @access  Lookup
+ */
+app.post('/api/jobs/:id/cancel', validate({
+    summary: 'Cancel a background job',
+    tags: ['Jobs'],
+    params: jobIdParams
+}), (req, res) => {
+    try {
+        res.status(202).json(jobs.cancelJob(req.params.id, req.client));
+    } catch (error) {
+        if (sendJobError(res, error)) return;
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ message: 'An error occurred while cancelling the job.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/jobs/:id
+ * @desc    Remove a job and its results (a running job is cancelled first)
+ * @access  Lookup
+ */
+app.delete('/api/jobs/:id', validate({
+    summary: 'Remove a background job',
+    tags: ['Jobs'],
+    params: jobIdParams
+}), (req, res) => {
+    try {
+        jobs.deleteJob(req.params.id, req.client);
+        res.status(204).end();
+    } catch (error) {
+        if (sendJobError(res, error)) return;
+        console.error('Error deleting job:', error);
+        res.status(500).json({ message: 'An error occurred while deleting the job.' });
+    }
+});
+
+// ============================================================================
+// ROUTES - LOOKUP HISTORY
+// ============================================================================
+
+const HISTORY_EXPORT_FORMATS = ['csv', 'jsonl', 'stix'];
+
+const HISTORY_CSV_COLUMNS = [
+    ['timestamp', entry => entry.timestamp],
+    ['source', entry => entry.source],
+    ['ip', entry => entry.ip],
+    ['requester', entry => entry.requester?.name],
+    ['country', entry => entry.result.country],
+    ['countryCode', entry => entry.result.countryCode],
+    ['region', entry => entry.result.region],
+    ['city', entry => entry.result.city],
+    ['asn', entry => (entry.result.asn ? `AS${entry.result.asn}` : null)],
+    ['org', entry => entry.result.org],
+    ['isp', entry => entry.result.isp],
+    ['score', entry => entry.result.score],
+    ['totalReports', entry => entry.result.totalReports],
+    ['lastReported', entry => entry.result.lastReported],
+    ['usageType', entry => entry.result.usageType]
+];
+
+/**
+ * @route   GET /api/history
+ * @desc    Search past ip-info and AbuseIPDB lookups, newest first. Filters: ?ip= (address or
+ *          CIDR), ?country=, ?asn=, ?minScore=, ?maxScore=, ?from=, ?to=, ?source=, ?requester=;
+ *          paging with ?offset= and ?limit= (default 100).
+ * @access  Lookup
+ */
+app.get('/api/history', validate({
+    summary: 'Search the lookup history',
+    tags: ['History'],
+    query: {
+        type: 'object',
+        properties: {
+            ...schemas.historyFilters,
+            offset: { type: 'integer', minimum: 0 },
+            limit: { type: 'integer', minimum: 1, maximum: 1000 }
+        }
+    }
+}), (req, res) => {
+    const { offset = 0, limit = 100, ...filters } = req.query;
+    const { total, entries } = lookupHistory.queryHistory(filters, { offset, limit });
+    res.status(200).json({ total, offset, entries });
+});
+
+/**
+ * @route   GET /api/history/export
+ * @desc    Download the lookups matching the same filters as GET /api/history, as CSV, JSON Lines
+ *          or a STIX 2.1 bundle (?format=csv|jsonl|stix) with an ipv4-addr/ipv6-addr and an
+ *          observed-data object per lookup, plus an indicator for IPs whose highest AbuseIPDB
+ *          score reaches the suspicious threshold.
+ * @access  Lookup
+ */
+app.get('/api/history/export', validate({
+    summary: 'Export the lookup history (CSV, JSON Lines, STIX 2.1)',
+    tags: ['History'],
+    query: {
+        type: 'object',
+        properties: { ...schemas.historyFilters, format: { type: 'string', enum: HISTORY_EXPORT_FORMATS } },
+        required: ['format']
+    }
+}), (req, res) => {
+    const { format, ...filters } = req.query;
+    // Oldest first reads naturally in a file
+    const entries = lookupHistory.queryHistory(filters).entries.reverse();
+    const baseName = `lookup-history-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+        const lines = [
+            formatCsvLine(HISTORY_CSV_COLUMNS.map(([name]) => name)),
+            ...entries.map(entry => formatCsvLine(HISTORY_CSV_COLUMNS.map(([, value]) => value(entry))))
+        ];
+        res.attachment(`${baseName}.csv`);
+        return res.type('text/csv').send(`${lines.join('\n')}\n`);
+    }
+    if (format === 'jsonl') {
+        res.attachment(`${baseName}.jsonl`);
+        return res.type('application/x-ndjson').send(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    }
+
+    const bundle = buildStixBundle(entries, {
+        suspiciousScore: config.enrichment.suspiciousScore,
+        maliciousScore: config.enrichment.maliciousScore
+    });
+    res.attachment(`${baseName}.stix.json`);
+    res.type('application/stix+json;version=2.1').send(JSON.stringify(bundle, null, 2));
+});
+
+/**
+ * @route   DELETE /api/history
+ * @desc    Delete the whole lookup history, or only the lookups made before ?before=
+ * @access  Admin
+ */
+app.delete('/api/history', requireRole('admin'), validate({
+    summary: 'Purge the lookup history',
+    tags: ['History'],
+    query: { type: 'object', properties: { before: { type: 'string', format: 'date-time', description: 'Delete lookups made before this time' } } }
+}), async (req, res) => {
+    try {
+        res.status(200).json({ deleted: await lookupHistory.purgeHistory(req.query.before) });
+    } catch (error) {
+        console.error('Error purging lookup history:', error.message);
+        res.status(500).json({ message: 'An error occurred while purging the lookup history.' });
+    }
+});
+
+// ============================================================================
+// ROUTES - IP LISTS
+// ============================================================================
+
+const listEntryParams = { type: 'object', properties: { id: { type: 'string', minLength: 1 } }, required: ['id'] };
+
+/**
+ * @route   GET /api/lists
+ * @desc    List watchlist/allowlist entries (?list=, ?tag=, ?includeExpired=true). IP lookup,
+ *          batch, AbuseIPDB and summarize responses carry "listMatches" for addresses inside an entry.
+ * @access  Lookup
+ */
+app.get('/api/lists', validate({
+    summary: 'List IP list entries',
+    tags: ['IP lists'],
+    query: {
+        type: 'object',
+        properties: {
+            list: schemas.listName,
+            tag: { type: 'string', minLength: 1 },
+            includeExpired: { type: 'boolean' }
+        }
+    }
+}), (req, res) => {
+    const entries = ipLists.listEntries(req.query);
+    res.status(200).json({ count: entries.length, entries });
+});
+
+/**
+ * @route   POST /api/lists
+ * @desc    Add one entry: "cidr", optional "list" (default "watchlist"), "tags", "note" and
+ *          "expiresAt" (ISO 8601) or "ttlDays". Expired entries stop matching and are removed.
+ * @access  Admin
+ */
+app.post('/api/lists', requireRole('admin'), validate({
+    summary: 'Add an IP list entry',
+    tags: ['IP lists'],
+    body: schemas.listEntry
+}), (req, res) => {
+    try {
+        res.status(201).json(ipLists.addEntries([req.body])[0]);
+    } catch (error) {
+        console.error('Error saving list entry:', error);
+        res.status(500).json({ message: 'An error occurred while saving the list entry.' });
+    }
+});
+
+/**
+ * @route   POST /api/lists/import
+ * @desc    Add many entries at once ("entries", each shaped like the POST /api/lists body)
+ * @access  Admin
+ */
+app.post('/api/lists/import', requireRole('admin'), validate({
+    summary: 'Add many IP list entries',
+    tags: ['IP lists'],
+    body: {
+        type: 'object',
+        properties: { entries: { type: 'array', minItems: 1, items: schemas.listEntry } },
+        required: ['entries']
+    }
+}), (req, res) => {
+    try {
+        const entries = ipLists.addEntries(req.body.entries);
+        res.status(201).json({ count: entries.length, entries });
+    } catch (error) {
+        console.error('Error importing list entries:', error);
+        res.status(500).json({ message: 'An error occurred while saving the list entries.' });
+    }
+});
+
+/**
+ * @route   POST /api/lists/match
+ * @desc    List entries matching each of "ips", most specific first
+ * @access  Lookup
+ */
+app.post('/api/lists/match', validate({
+    summary: 'Match IPs against the IP lists',
+    tags: ['IP lists'],
+    body: { type: 'object', properties: { ips: schemas.ipList }, required: ['ips'] }
+}), (req, res) => {
+    const results = req.body.ips.map(ip => ({ ip, matches: ipLists.matchIp(ip) }));
+    res.status(200).json({ results, matchedCount: results.filter(result => result.matches.length > 0).length });
+});
+
+/**
+ * @route   GET /api/lists/:id
+ * @desc    One IP list entry
+ * @access  Lookup
+ */
+app.get('/api/lists/:id', validate({
+    summary: 'Get an IP list entry',
+    tags: ['IP lists'],
+    params: listEntryParams
+}), (req, res) => {
+    try {
+        res.status(200).json(ipLists.getEntry(req.params.id));
+    } catch (error) {
+        if (sendIpListError(res, error)) return;
+        console.error('Error reading list entry:', error);
+        res.status(500).json({ message: 'An error occurred while reading the list entry.' });
+    }
+});
+
+/**
+ * @route   PUT /api/lists/:id
+ * @desc    Replace an IP list entry (same body as POST /api/lists)
+ * @access  Admin
+ */
+app.put('/api/lists/:id', requireRole('admin'), validate({
+    summary: 'Replace an IP list entry',
+    tags: ['IP lists'],
+    params: listEntryParams,
+    body: schemas.listEntry
+}), (req, res) => {
+    try {
+        res.status(200).json(ipLists.updateEntry(req.params.id, req.body));
+    } catch (error) {
+        if (sendIpListError(res, error)) return;
+        console.error('Error updating list entry:', error);
+        res.status(500).json({ message: 'An error occurred while saving the list entry.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/lists/:id
+ * @desc    Delete an IP list entry
+ * @access  Admin
+ */
+app.delete('/api/lists/:id', requireRole('admin'), validate({
+    summary: 'Delete an IP list entry',
+    tags: ['IP lists'],
+    params: listEntryParams
+}), (req, res) => {
+    try {
+        ipLists.deleteEntry(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        if (sendIpListError(res, error)) return;
+        console.error('Error deleting list entry:', error);
+        res.status(500).json({ message: 'An error occurred while deleting the list entry.' });
+    }
+});
+
+// ============================================================================
+// ROUTES - REPORT FORMATTING
+// ============================================================================
+
+/**
+ * @route   POST /api/format-report
+ * @desc    Formats raw incident text for TheHive with configurable field extraction and filtering.
+ *          Also returns the report's observables (IPs with source/destination role, domains, URLs,
+ *          emails, hashes, hostnames, usernames); set "defang" to defang them in formattedText.
+ *          "format" selects the layout: text (default), markdown, html, json or template.
+ *          "profile" names the formatter profile to use (default: "default"). The report layout
+ *          (tabular, bold-markdown, key-value, email, JSON/CSV export) is detected first; each
+ *          extracted field reports its strategy and confidence, and "missingFields" lists the
+ *          enabled fields that were not found.
+ * @access  Lookup
+ */
+app.post('/api/format-report', validate({
+    summary: 'Format raw incident text for TheHive',
+    tags: ['Report formatting'],
+    body: {
+        type: 'object',
+        properties: {
+            rawText: { type: 'string', minLength: 1 },
+            ...schemas.reportFormatOptions
+        },
+        required: ['rawText'],
+        ...schemas.templateRequired
+    }
+}), (req, res) => {
+    const { rawText, profile, customFields, fieldFilters = {}, sections = {}, defang, format, template, timestamps } = req.body;
+
+    try {
+        res.status(200).json({
+            ...formatReport(rawText, { profile, customFields, fieldFilters, sections, defang, format, template, timestamps }),
+            appliedFilters: fieldFilters
+        });
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error formatting report:', error);
+        res.status(500).json({ message: 'An error occurred on the server while formatting the report.' });
+    }
+});
+
+/**
+ * @route   POST /api/format-report/bulk
+ * @desc    Formats many reports at once, given as "reports" (array) or one concatenated "dump".
+ *          A dump is split on "separator" when given, otherwise per JSON array element, per
+ *          CSV row, on ---/=== separator lines or where its first label repeats. Reports sharing
+ *          the "groupBy" criteria (signature, category, overlapping observables) are grouped;
+ *          each group carries counts, first/last seen times and merged fields and observables.
+ * @access  Lookup
+ */
+app.post('/api/format-report/bulk', validate({
+    summary: 'Format many reports and group duplicates',
+    tags: ['Report formatting'],
+    body: {
+        type: 'object',
+        properties: {
+            reports: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+            dump: { type: 'string', minLength: 1, description: 'Several reports in one text' },
+            separator: { type: 'string', minLength: 1, description: 'Literal text separating reports in "dump"' },
+            groupBy: {
+                type: 'array',
+                items: { type: 'string', enum: GROUPING_CRITERIA },
+                description: 'Criteria duplicates must share (default: all)'
+            },
+            ...schemas.reportFormatOptions
+        },
+        allOf: [
+            { anyOf: [{ required: ['reports'] }, { required: ['dump'] }], errorMessage: '"reports" or "dump" is required' },
+            schemas.templateRequired
+        ]
+    }
+}), (req, res) => {
+    const { reports = [], dump, separator, groupBy = GROUPING_CRITERIA, ...options } = req.body;
+    const rawTexts = dump ? [...reports, ...splitReports(dump, separator)] : reports;
+
+    try {
+        res.status(200).json(formatReportBatch(rawTexts, options, groupBy));
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error formatting reports:', error);
+        res.status(500).json({ message: 'An error occurred on the server while formatting the reports.' });
+    }
+});
+
+/**
+ * @route   GET /api/format-report/config
+ * @desc    Get the field and section configuration of a profile (?profile=, default "default")
+ * @access  Lookup
+ */
+app.get('/api/format-report/config', validate({
+    summary: 'Field and section configuration of a profile',
+    tags: ['Report formatting'],
+    query: { type: 'object', properties: { profile: schemas.profileName } }
+}), (req, res) => {
+    try {
+        const profile = formatterProfiles.getProfile(req.query.profile || formatterProfiles.DEFAULT_PROFILE_NAME);
+        res.status(200).json({
+            profile: profile.name,
+            version: profile.version,
+            fieldConfig: profile.fieldConfig,
+            fieldOrder: profile.fieldOrder,
+            sectionConfig: profile.sectionConfig
+        });
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error reading configuration:', error);
+        res.status(500).json({ message: 'An error occurred while reading the configuration.' });
+    }
+});
+
+/**
+ * @route   POST /api/format-report/config
+ * @desc    Merge field and section entries into a profile (?profile=, default "default"),
+ *          saved as a new profile version
+ * @access  Admin
+ */
+app.post('/api/format-report/config', requireRole('admin'), validate({
+    summary: 'Merge field and section configuration into a profile',
+    tags: ['Report formatting'],
+    query: { type: 'object', properties: { profile: schemas.profileName } },
+    body: {
+        type: 'object',
+        properties: { fieldConfig: schemas.fieldConfigMap, sectionConfig: schemas.sectionConfigMap },
+        anyOf: [{ required: ['fieldConfig'] }, { required: ['sectionConfig'] }],
+        errorMessage: 'must contain "fieldConfig" and/or "sectionConfig"'
+    }
+}), (req, res) => {
+    const { fieldConfig, sectionConfig } = req.body;
+    
+    try {
+        const profile = formatterProfiles.mergeIntoProfile(req.query.profile || formatterProfiles.DEFAULT_PROFILE_NAME, { fieldConfig, sectionConfig });
         
         res.status(200).json({ 
             message: 'Configuration updated successfully',
-            currentFieldConfig: FIELD_CONFIG,
-            currentSectionConfig: SECTION_CONFIG
+            profile: profile.name,
+            version: profile.version,
+            currentFieldConfig: profile.fieldConfig,
+            currentSectionConfig: profile.sectionConfig
         });
     } catch (error) {
+        if (sendProfileError(res, error)) return;
         console.error('Error updating configuration:', error);
         res.status(500).json({ message: 'An error occurred while updating the configuration.' });
     }
 });
 
+// ============================================================================
+// ROUTES - FORMATTER PROFILES
+// ============================================================================
+
+const profileNameParams = { type: 'object', properties: { name: schemas.profileName }, required: ['name'] };
+
+/**
+ * @route   GET /api/format-report/profiles
+ * @desc    List formatter profiles with their current version
+ * @access  Lookup
+ */
+app.get('/api/format-report/profiles', validate({
+    summary: 'List formatter profiles',
+    tags: ['Formatter profiles']
+}), (req, res) => {
+    res.status(200).json({ profiles: formatterProfiles.listProfiles() });
+});
+
+/**
+ * @route   POST /api/format-report/profiles
+ * @desc    Create a formatter profile. "fieldOrder" defaults to field priority and
+ *          "sectionConfig" to the built-in section labels.
+ * @access  Admin
+ */
+app.post('/api/format-report/profiles', requireRole('admin'), validate({
+    summary: 'Create a formatter profile',
+    tags: ['Formatter profiles'],
+    body: { ...schemas.profileDefinition, properties: { name: schemas.profileName, ...schemas.profileDefinition.properties }, required: ['name', ...schemas.profileDefinition.required] }
+}), (req, res) => {
+    const { name, ...definition } = req.body;
+    try {
+        res.status(201).json(formatterProfiles.createProfile(name, definition));
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error creating profile:', error);
+        res.status(500).json({ message: 'An error occurred while saving the profile.' });
+    }
+});
+
+/**
+ * @route   GET /api/format-report/profiles/:name
+ * @desc    Current version of a formatter profile
+ * @access  Lookup
+ */
+app.get('/api/format-report/profiles/:name', validate({
+    summary: 'Get a formatter profile',
+    tags: ['Formatter profiles'],
+    params: profileNameParams
+}), (req, res) => {
+    try {
+        res.status(200).json(formatterProfiles.getProfile(req.params.name));
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error reading profile:', error);
+        res.status(500).json({ message: 'An error occurred while reading the profile.' });
+    }
+});
+
+/**
+ * @route   PUT /api/format-report/profiles/:name
+ * @desc    Replace a formatter profile's content, recording a new version
+ * @access  Admin
+ */
+app.put('/api/format-report/profiles/:name', requireRole('admin'), validate({
+    summary: 'Replace a formatter profile',
+    tags: ['Formatter profiles'],
+    params: profileNameParams,
+    body: schemas.profileDefinition
+}), (req, res) => {
+    try {
+        res.status(200).json(formatterProfiles.updateProfile(req.params.name, req.body));
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error updating profile:', error);
+        res.status(500).json({ message: 'An error occurred while saving the profile.' });
+    }
+});
+
+/**
+ * @route   DELETE /api/format-report/profiles/:name
+ * @desc    Delete a formatter profile and its history (the default profile is kept)
+ * @access  Admin
+ */
+app.delete('/api/format-report/profiles/:name', requireRole('admin'), validate({
+    summary: 'Delete a formatter profile',
+    tags: ['Formatter profiles'],
+    params: profileNameParams
+}), (req, res) => {
+    try {
+        formatterProfiles.deleteProfile(req.params.name);
+        res.status(200).json({ message: `Profile "${req.params.name}" deleted.` });
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error deleting profile:', error);
+        res.status(500).json({ message: 'An error occurred while deleting the profile.' });
+    }
+});
+
+/**
+ * @route   GET /api/format-report/profiles/:name/versions
+ * @desc    Stored versions of a formatter profile, newest first
+ * @access  Lookup
+ */
+app.get('/api/format-report/profiles/:name/versions', validate({
+    summary: 'Version history of a formatter profile',
+    tags: ['Formatter profiles'],
+    params: profileNameParams
+}), (req, res) => {
+    try {
+        res.status(200).json({ versions: formatterProfiles.getProfileHistory(req.params.name) });
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error reading profile history:', error);
+        res.status(500).json({ message: 'An error occurred while reading the profile history.' });
+    }
+});
+
+/**
+ * @route   POST /api/format-report/profiles/:name/rollback
+ * @desc    Restore an earlier version of a formatter profile (saved as a new version)
+ * @access  Admin
+ */
+app.post('/api/format-report/profiles/:name/rollback', requireRole('admin'), validate({
+    summary: 'Roll a formatter profile back to an earlier version',
+    tags: ['Formatter profiles'],
+    params: profileNameParams,
+    body: { type: 'object', properties: { version: { type: 'integer', minimum: 1 } }, required: ['version'] }
+}), (req, res) => {
+    try {
+        res.status(200).json(formatterProfiles.rollbackProfile(req.params.name, req.body.version));
+    } catch (error) {
+        if (sendProfileError(res, error)) return;
+        console.error('Error rolling back profile:', error);
+        res.status(500).json({ message: 'An error occurred while saving the profile.' });
+    }
+});
+
+// ============================================================================
+// ROUTES - THEHIVE
+// ============================================================================
+
+/**
+ * @route   POST /api/thehive/push
+ * @desc    Create a TheHive case or alert from a /api/format-report response: title from
+ *          Category/Signature, severity from Severity, description from formattedText, tags
+ *          from Sub Categories and the extracted observables (only source IPs, domains, URLs,
+ *          emails and hashes are flagged as IOCs). "dryRun" returns the exact requests without
+ *          sending them.
+ * @access  Lookup
+ */
+app.post('/api/thehive/push', validate({
+    summary: 'Create a TheHive case or alert from a formatted report',
+    tags: ['TheHive'],
+    body: {
+        type: 'object',
+        properties: {
+            report: schemas.formattedReport,
+            type: { type: 'string', enum: ['case', 'alert'] },
+            dryRun: { type: 'boolean' },
+            tlp: { type: 'integer', minimum: 0, maximum: 4 },
+            pap: { type: 'integer', minimum: 0, maximum: 3 },
+            sourceRef: { type: 'string', minLength: 1, description: 'Alert reference (defaults to a hash of formattedText)' }
+        },
+        required: ['report']
+    }
+}), async (req, res) => {
+    const { report, type = 'case', dryRun = false, tlp, pap, sourceRef } = req.body;
+    const submission = theHive.buildSubmission(report, { type, tlp, pap, sourceRef });
+
+    if (dryRun) {
+        return res.status(200).json({
+            dryRun: true,
+            type: submission.type,
+            apiVersion: submission.apiVersion,
+            requests: submission.requests.map(request => ({ ...request, url: `${config.theHive.url}${request.path}` }))
+        });
+    }
+
+    if (!theHive.isConfigured()) {
+        return res.status(500).json({ error: 'TheHive URL or API key not configured' });
+    }
+
+    try {
+        const result = await theHive.sendSubmission(submission);
+        res.status(201).json({ dryRun: false, apiVersion: submission.apiVersion, ...result });
+    } catch (error) {
+        console.error('TheHive push failed:', error.message);
+        res.status(502).json({ error: 'TheHive push failed', message: error.message });
+    }
+});
+
+// ============================================================================
+// ROUTES - ADMIN
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Cache statistics and remaining upstream quota per provider
+ * @access  Admin
+ */
+app.get('/api/admin/cache', requireRole('admin'), validate({
+    summary: 'Upstream cache statistics and quota',
+    tags: ['Admin']
+}), (req, res) => {
+    res.status(200).json({ providers: getUpstreamStats() });
+});
+
+/**
+ * @route   DELETE /api/admin/cache
+ * @desc    Flush the upstream caches (all providers, or one via ?provider=ip-api|abuseipdb|rdap)
+ * @access  Admin
+ */
+app.delete('/api/admin/cache', requireRole('admin'), validate({
+    summary: 'Flush upstream caches',
+    tags: ['Admin'],
+    query: { type: 'object', properties: { provider: { type: 'string', enum: ['ip-api', 'abuseipdb', 'rdap'] } } }
+}), (req, res) => {
+    const flushed = flushUpstreamCaches(req.query.provider);
+
+    if (!flushed) {
+        return res.status(404).json({ message: `Unknown provider "${req.query.provider}".` });
+    }
+
+    res.status(200).json({ message: 'Cache flushed successfully', flushed });
+});
+
+const apiKeyParams = { type: 'object', properties: { id: { type: 'string', minLength: 1 } }, required: ['id'] };
+
+/**
+ * @route   GET /api/admin/keys
+ * @desc    List the issued API keys (name, role, limits, key prefix; never the key itself)
+ * @access  Admin
+ */
+app.get('/api/admin/keys', requireRole('admin'), validate({
+    summary: 'List API keys',
+    tags: ['Admin']
+}), (req, res) => {
+    res.status(200).json({ keys: apiKeys.listKeys() });
+});
+
+/**
+ * @route   POST /api/admin/keys
+ * @desc    Issue an API key. The key is only returned in this response; store it right away.
+ * @access  Admin
+ */
+app.post('/api/admin/keys', requireRole('admin'), validate({
+    summary: 'Issue an API key',
+    tags: ['Admin'],
+    body: schemas.apiKeyDefinition
+}), (req, res) => {
+    const created = apiKeys.createKey(req.body);
+    res.status(201).json(created);
+});
+
+/**
+ * @route   DELETE /api/admin/keys/:id
+ * @desc    Revoke an API key; requests using it are rejected with 401 from then on
+ * @access  Admin
+ */
+app.delete('/api/admin/keys/:id', requireRole('admin'), validate({
+    summary: 'Revoke an API key',
+    tags: ['Admin'],
+    params: apiKeyParams
+}), (req, res) => {
+    try {
+        apiKeys.revokeKey(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        if (sendApiKeyError(res, error)) return;
+        console.error('Error revoking API key:', error.message);
+        res.status(500).json({ message: 'An error occurred on the server.' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    The caller's key (name, role) with its limits and today's usage
+ * @access  Lookup
+ */
+app.get('/api/auth/me', validate({
+    summary: 'Role, limits and usage of the calling API key',
+    tags: ['Admin']
+}), (req, res) => {
+    if (!req.client) {
+        return res.status(200).json({ authenticated: false, message: 'Authentication is disabled (AUTH_ENABLED=false).' });
+    }
+    const { id, name, role } = req.client;
+    res.status(200).json({ authenticated: true, id, name, role, usage: auth.usageSummary(req.client) });
+});
+
+// ============================================================================
+// ROUTES - API DOCUMENTATION
+// ============================================================================
+
+/**
+ * @route   GET /api/openapi.json
+ * @desc    OpenAPI 3.1 document generated from the request schemas every route validates against
+ * @access  Public
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.status(200).json(buildOpenApiDocument(app, {
+        title: 'MyIP Tools API',
+        version: packageInfo.version,
+        description: packageInfo.description
+    }));
+});
+
 // ============================================================================
 // ROUTES
 // ============================================================================
@@ -0,0 +1,184 @@
+// ============================================================================
+// AUTHENTICATION, ROLES AND CLIENT LIMITS
+// ============================================================================
+//
+// Clients present an issued key as "Authorization: Bearer <key>" or
+// "X-API-Key: <key>". Upstream-backed routes are additionally metered per key:
+// a per-minute request limit and a daily quota counted in looked-up items
+// (one per IP or network). Counters live in memory and restart with the server.
+
+const config = require('../config');
+const apiKeys = require('../services/apiKeys');
+
+const WWW_AUTHENTICATE = 'Bearer realm="myip-tools", charset="UTF-8"';
+
+// Per client id: { minute: { startedAt, count }, day: { date, used } }
+const usage = new Map();
+
+/**
+ * Reads the presented key from the Authorization or X-API-Key header
+ */
+function presentedKey(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : (req.get('X-API-Key') || null);
+}
+
+/**
+ * Builds middleware that resolves the caller's key into req.client and answers
+ * 401 when it is missing or invalid. Paths in "publicPaths" (relative to where
+ * the middleware is mounted) are let through without a key.
+ */
+function authenticate({ publicPaths = [] } = {}) {
+    return (req, res, next) => {
+        req.client = null;
+        if (!config.auth.enabled || publicPaths.includes(req.path)) return next();
+
+        const key = presentedKey(req);
+        const client = apiKeys.resolveKey(key);
+        if (!client) {
+            res.set('WWW-Authenticate', key ? `${WWW_AUTHENTICATE}, error="invalid_token"` : WWW_AUTHENTICATE);
+            return res.status(401).json({
+                message: key
+                    ? 'The API key is invalid, revoked or expired.'
+                    : 'An API key is required: send "Authorization: Bearer <key>" or "X-API-Key: <key>".'
+            });
+        }
+
+        req.client = client;
+        next();
+    };
+}
+
+/**
+ * Builds middleware that answers 403 unless the caller's role includes "role"
+ */
+function requireRole(role) {
+    const middleware = (req, res, next) => {
+        if (!req.client || apiKeys.hasRole(req.client.role, role)) return next();
+        res.status(403).json({
+            message: `This route requires the "${role}" role; the API key has the "${req.client.role}" role.`,
+            requiredRole: role,
+            role: req.client.role
+        });
+    };
+    middleware.requiredRole = role;
+    return middleware;
+}
+
+/**
+ * Returns the caller's usage counters, starting new windows when the old ones have passed
+ */
+function usageFor(clientId, now) {
+    const today = new Date(now).toISOString().slice(0, 10);
+    const entry = usage.get(clientId) || { minute: { startedAt: now, count: 0 }, day: { date: today, used: 0 } };
+    if (now - entry.minute.startedAt >= 60 * 1000) entry.minute = { startedAt: now, count: 0 };
+    if (entry.day.date !== today) entry.day = { date: today, used: 0 };
+    usage.set(clientId, entry);
+    return entry;
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ */
+function nextUtcMidnight(now) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+/**
+ * Answers 429 with the retry hints of an exhausted limit
+ */
+function sendLimitExceeded(res, { message, limit, resetAt, now }) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - now) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({ message, limit, retryAfterSeconds, resetsAt: new Date(resetAt).toISOString() });
+}
+
+/**
+ * Builds middleware that meters an upstream-backed route for the caller's key.
+ * "costOf(req)" is the number of items the request looks up (default 1); it runs
+ * after validation, so it can rely on the validated body. Answers 429 with
+ * Retry-After when the per-minute limit or the daily quota is exhausted.
+ */
+function meterUpstream(costOf = () => 1) {
+    const middleware = (req, res, next) => {
+        if (!req.client) return next();
+
+        const now = Date.now();
+        const { rateLimitPerMinute, dailyQuota } = req.client;
+        const entry = usageFor(req.client.id, now);
+        const cost = costOf(req);
+        const minuteResetAt = entry.minute.startedAt + 60 * 1000;
+        const dayResetAt = nextUtcMidnight(now);
+
+        if (entry.minute.count >= rateLimitPerMinute) {
+            return sendLimitExceeded(res, {
+                message: `Rate limit of ${rateLimitPerMinute} requests per minute reached for this API key.`,
+                limit: 'rate',
+                resetAt: minuteResetAt,
+                now
+            });
+        }
+        if (entry.day.used + cost > dailyQuota) {
+            const remaining = dailyQuota - entry.day.used;
+            return sendLimitExceeded(res, {
+                message: `Daily quota of ${dailyQuota} lookups exhausted for this API key (${remaining} left, request needs ${cost}).`,
+                limit: 'quota',
+                resetAt: dayResetAt,
+                now
+            });
+        }
+
+        entry.minute.count++;
+        entry.day.used += cost;
+        res.set('X-RateLimit-Limit', String(rateLimitPerMinute));
+        res.set('X-RateLimit-Remaining', String(rateLimitPerMinute - entry.minute.count));
+        res.set('X-RateLimit-Reset', String(Math.ceil(minuteResetAt / 1000)));
+        res.set('X-Quota-Limit', String(dailyQuota));
+        res.set('X-Quota-Remaining', String(dailyQuota - entry.day.used));
+        next();
+    };
+    middleware.metered = true;
+    return middleware;
+}
+
+/**
+ * Current limits and usage of a client, for GET /api/auth/me
+ */
+function usageSummary(client) {
+    const now = Date.now();
+    const entry = usageFor(client.id, now);
+    return {
+        rateLimitPerMinute: client.rateLimitPerMinute,
+        requestsThisMinute: entry.minute.count,
+        dailyQuota: client.dailyQuota,
+        usedToday: entry.day.used,
+        quotaResetsAt: new Date(nextUtcMidnight(now)).toISOString()
+    };
+}
+
+/**
+ * Options for the cors() middleware: only allowlisted origins get CORS headers
+ * ("*" in CORS_ORIGINS allows any origin), so browsers on other origins cannot
+ * read the responses. Requests are still authenticated by their API key.
+ */
+function corsOptions() {
+    const origins = config.cors.origins;
+    return {
+        origin: origins.includes('*') ? true : origins,
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+        exposedHeaders: [
+            'Location', 'Retry-After', 'X-Cache', 'X-Geo-Provider', 'X-Upstream-Quota-Remaining', 'X-Upstream-Quota-Reset',
+            'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining',
+            'X-Batch-Chunks', 'X-Batch-Failed-Chunks'
+        ]
+    };
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+    meterUpstream,
+    usageSummary,
+    corsOptions
+};
@@ -0,0 +1,331 @@
+// ============================================================================
+// REQUEST SCHEMAS
+// ============================================================================
+//
+// Shared building blocks for the route schemas in index.js. They are plain
+// JSON Schema so the same objects are published in the OpenAPI document.
+
+const { OUTPUT_FORMATS } = require('./utils/reportFormats');
+const { ROLES } = require('./services/apiKeys');
+const { SOURCES } = require('./services/lookupHistory');
+
+const ip = { type: 'string', format: 'ip', description: 'IPv4 or IPv6 address' };
+
+const cidr = { type: 'string', format: 'cidr', description: 'IP address or CIDR network' };
+
+const ipList = { type: 'array', minItems: 1, items: ip };
+
+const ipRange = { type: 'string', format: 'ip-range', description: 'Inclusive address range "start-end"' };
+
+const cidrList = { type: 'array', minItems: 1, items: cidr };
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+// ip-api "fields": comma-separated field names or a numeric field mask
+const fields = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9]+(,[A-Za-z0-9]+)*$',
+    errorMessage: 'must be a comma-separated list of ip-api field names',
+    description: 'Comma-separated ip-api field names'
+};
+
+// Optional lookups merged into ip-info results: "ptr" (reverse DNS) and "rdap" (registration data)
+const LOOKUP_EXTRAS = ['ptr', 'rdap'];
+
+const lookupExtras = {
+    type: 'array',
+    items: { type: 'string', enum: LOOKUP_EXTRAS },
+    description: 'Extra lookups to add to each result: "ptr" (reverse DNS), "rdap" (network registration)'
+};
+
+const lookupExtrasQuery = {
+    type: 'string',
+    pattern: '^(ptr|rdap)(,(ptr|rdap))*$',
+    errorMessage: 'must be a comma-separated list of "ptr" and "rdap"',
+    description: 'Comma-separated extra lookups: ptr (reverse DNS), rdap (network registration)'
+};
+
+const asyncFlag = { type: 'boolean', description: 'Run as a background job and answer 202 with the job links' };
+
+const reputationOptions = {
+    maxAgeInDays: { type: 'integer', minimum: 1, maximum: 365, description: 'Only count reports from the last N days' },
+    verbose: { type: 'boolean', description: 'Include report details and country name' },
+    concurrency: { type: 'integer', minimum: 1, description: 'Parallel lookups (capped by ABUSEIPDB_MAX_CONCURRENCY)' }
+};
+
+const summarizeOptions = {
+    type: 'object',
+    properties: {
+        maxPrefixWidth: {
+            anyOf: [
+                { type: 'integer', minimum: 0, maximum: 128 },
+                {
+                    type: 'object',
+                    properties: {
+                        ipv4: { type: 'integer', minimum: 0, maximum: 32 },
+                        ipv6: { type: 'integer', minimum: 0, maximum: 128 }
+                    },
+                    additionalProperties: false
+                }
+            ],
+            description: 'Widest prefix length a summary may use (number or { ipv4, ipv6 })'
+        },
+        maxOverCoverage: { type: 'number', minimum: 0, maximum: 100, description: 'Percent of unlisted addresses a merged block may contain' }
+    }
+};
+
+// "summary" of the batch routes: true, or the subnet summarizer options for the per-group subnets
+const batchSummary = {
+    anyOf: [{ type: 'boolean' }, summarizeOptions],
+    errorMessage: 'must be a boolean or an object with "maxPrefixWidth" / "maxOverCoverage"',
+    description: 'Add a summary block (counts by country, ASN, org and ISP with covering subnets, flag shares, abuse-score distribution)'
+};
+
+const networkList = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        anyOf: [
+            cidr,
+            { type: 'object', properties: { subnet: cidr }, required: ['subnet'] }
+        ]
+    }
+};
+
+const verdictOverrides = {
+    thresholds: {
+        type: 'object',
+        properties: {
+            suspicious: { type: 'number', minimum: 0, maximum: 100 },
+            malicious: { type: 'number', minimum: 0, maximum: 100 },
+            flagProxy: { type: 'boolean' },
+            flagHosting: { type: 'boolean' },
+            flagTor: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+    watchlists: {
+        type: 'object',
+        properties: {
+            countries: { type: 'array', items: { type: 'string', pattern: '^[A-Za-z]{2}$', errorMessage: 'must be a two-letter country code' } },
+            asns: {
+                type: 'array',
+                items: {
+                    anyOf: [
+                        { type: 'integer', minimum: 0 },
+                        { type: 'string', pattern: '^(?:[Aa][Ss])?\\d+$', errorMessage: 'must be an AS number such as "AS64500"' }
+                    ]
+                }
+            }
+        },
+        additionalProperties: false
+    }
+};
+
+const fieldDefinition = {
+    type: 'object',
+    properties: {
+        keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+        section: { type: 'string', minLength: 1 },
+        outputLabel: { type: 'string', minLength: 1 },
+        enabled: { type: 'boolean' },
+        priority: { type: 'number' },
+        type: { type: 'string', enum: ['text', 'datetime'], description: '"datetime" values are normalized like the built-in time fields' }
+    },
+    required: ['keywords', 'section', 'outputLabel']
+};
+
+const sectionDefinition = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        label: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+};
+
+const fieldConfigMap = { type: 'object', additionalProperties: fieldDefinition };
+
+const sectionConfigMap = { type: 'object', additionalProperties: sectionDefinition };
+
+const fieldFilters = {
+    type: 'object',
+    properties: {
+        enabled: stringList,
+        disabled: stringList,
+        maxFields: { type: 'integer', minimum: 1 },
+        includeOnly: stringList
+    },
+    additionalProperties: false
+};
+
+// How report timestamps are read and displayed
+const timestampOptions = {
+    type: 'object',
+    properties: {
+        timezone: { type: 'string', format: 'timezone', description: 'Timezone times are displayed in' },
+        inputTimezone: { type: 'string', format: 'timezone', description: 'Timezone assumed for times without an offset or with an ambiguous abbreviation (CST, IST, BST)' },
+        displayFormat: { type: 'string', minLength: 1, description: 'Tokens: YYYY MM DD HH mm ss, Z (offset) and z (timezone name); text in [brackets] is kept literally' },
+        dateOrder: { type: 'string', enum: ['DMY', 'MDY'], description: 'Order of ambiguous numeric dates such as 05/10/2026' }
+    },
+    additionalProperties: false
+};
+
+const profileName = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$',
+    errorMessage: 'must be 1-64 letters, digits, ".", "_" or "-"',
+    description: 'Formatter profile name'
+};
+
+const profileDefinition = {
+    type: 'object',
+    properties: {
+        description: { type: 'string' },
+        fieldConfig: { ...fieldConfigMap, minProperties: 1 },
+        fieldOrder: { type: 'array', items: { type: 'string', minLength: 1 } },
+        sectionConfig: sectionConfigMap,
+        timestamps: timestampOptions
+    },
+    required: ['fieldConfig'],
+    additionalProperties: false
+};
+
+// Free text placed into generated firewall rules; quotes, "$" and backslashes are excluded
+// so it can sit inside quoted shell, PowerShell and device CLI strings
+const ruleComment = {
+    type: 'string',
+    maxLength: 200,
+    pattern: '^[A-Za-z0-9 _.,:;#/()@+=\\[\\]-]*$',
+    errorMessage: 'may only contain letters, digits, spaces and _.,:;#/()@+=[]-'
+};
+
+const listName = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$',
+    errorMessage: 'must be 1-64 letters, digits, ".", "_" or "-"',
+    description: 'Name of the list an entry belongs to (default "watchlist")'
+};
+
+// One watchlist/allowlist entry
+const listEntry = {
+    type: 'object',
+    properties: {
+        cidr,
+        list: listName,
+        tags: { ...stringList, maxItems: 32 },
+        note: { type: 'string', maxLength: 1000 },
+        expiresAt: { type: 'string', format: 'date-time', description: 'When the entry stops matching' },
+        ttlDays: { type: 'integer', minimum: 1, description: 'Expiry relative to now, when "expiresAt" is not given' }
+    },
+    required: ['cidr'],
+    additionalProperties: false
+};
+
+// Filters of the lookup history routes
+const historyFilters = {
+    ip: { ...cidr, description: 'Address or CIDR network the looked-up IP must fall in' },
+    country: { type: 'string', minLength: 2, description: 'Country code or name' },
+    asn: { type: 'string', pattern: '^([Aa][Ss])?\\d+$', errorMessage: 'must be an AS number such as 15169 or AS15169', description: 'AS number (15169 or AS15169)' },
+    minScore: { type: 'integer', minimum: 0, maximum: 100, description: 'Lowest AbuseIPDB confidence score' },
+    maxScore: { type: 'integer', minimum: 0, maximum: 100, description: 'Highest AbuseIPDB confidence score' },
+    from: { type: 'string', format: 'date-time', description: 'Earliest lookup time (inclusive)' },
+    to: { type: 'string', format: 'date-time', description: 'Latest lookup time (inclusive)' },
+    source: { type: 'string', enum: SOURCES, description: 'Lookup that produced the entry' },
+    requester: { type: 'string', minLength: 1, description: 'API key id or name' }
+};
+
+// An API key to issue
+const apiKeyDefinition = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100, description: 'Who or what the key is for' },
+        role: { type: 'string', enum: ROLES, description: 'lookup (default) or admin' },
+        rateLimitPerMinute: { type: 'integer', minimum: 1, description: 'Requests per minute on upstream-backed routes (default AUTH_RATE_LIMIT_PER_MINUTE)' },
+        dailyQuota: { type: 'integer', minimum: 1, description: 'Lookups per UTC day on upstream-backed routes (default AUTH_DAILY_QUOTA)' },
+        expiresAt: { type: 'string', format: 'date-time', description: 'When the key stops working' }
+    },
+    required: ['name'],
+    additionalProperties: false
+};
+
+// Options shared by the single and bulk format-report routes
+const reportFormatOptions = {
+    profile: profileName,
+    customFields: fieldConfigMap,
+    fieldFilters,
+    sections: sectionConfigMap,
+    defang: { type: 'boolean', description: 'Defang observables in formattedText' },
+    format: { type: 'string', enum: OUTPUT_FORMATS, description: 'Layout of formattedText' },
+    template: { type: 'string', minLength: 1, description: 'Template with {{fields}}, {{field.<key>}}, {{label.<key>}}, {{section.<key>}} and {{section.<key>.label}} placeholders' },
+    timestamps: timestampOptions
+};
+
+// Body rule for routes taking reportFormatOptions
+const templateRequired = {
+    anyOf: [
+        { properties: { format: { enum: OUTPUT_FORMATS.filter(format => format !== 'template') } } },
+        { required: ['template'] }
+    ],
+    errorMessage: '"template" is required when "format" is "template"'
+};
+
+// Output of /api/format-report, as accepted by the TheHive push
+const formattedReport = {
+    type: 'object',
+    properties: {
+        formattedText: { type: 'string', minLength: 1 },
+        extractedFields: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: { label: { type: 'string' }, value: { type: 'string' } },
+                required: ['value']
+            }
+        },
+        observables: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['ip', 'domain', 'url', 'email', 'md5', 'sha1', 'sha256', 'hostname', 'username'] },
+                    value: { type: 'string', minLength: 1 },
+                    roles: stringList
+                },
+                required: ['type', 'value']
+            }
+        }
+    },
+    required: ['formattedText']
+};
+
+module.exports = {
+    ip,
+    cidr,
+    ipList,
+    ipRange,
+    cidrList,
+    fields,
+    asyncFlag,
+    lookupExtras,
+    lookupExtrasQuery,
+    reputationOptions,
+    summarizeOptions,
+    batchSummary,
+    networkList,
+    verdictOverrides,
+    fieldConfigMap,
+    sectionConfigMap,
+    fieldFilters,
+    timestampOptions,
+    profileName,
+    profileDefinition,
+    reportFormatOptions,
+    templateRequired,
+    ruleComment,
+    listName,
+    listEntry,
+    historyFilters,
+    apiKeyDefinition,
+    formattedReport
+};
@@ -0,0 +1,203 @@
+// ============================================================================
+// ABUSEIPDB CLIENT
+// ============================================================================
+
+const config = require('../config');
+const { createUpstreamClient, headerNumber } = require('./upstreamClient');
+const { classifyIp, isRoutable } = require('../utils/ipClassify');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+/**
+ * AbuseIPDB reports its daily quota in X-RateLimit-Limit/-Remaining and the
+ * reset moment as a Unix timestamp in X-RateLimit-Reset.
+ */
+function parseAbuseIpdbHeaders(headers) {
+    const reset = headerNumber(headers, 'X-RateLimit-Reset');
+    return {
+        limit: headerNumber(headers, 'X-RateLimit-Limit'),
+        remaining: headerNumber(headers, 'X-RateLimit-Remaining'),
+        resetAt: reset !== undefined ? reset * 1000 : undefined
+    };
+}
+
+// https://www.abuseipdb.com/categories
+const ABUSE_CATEGORIES = {
+    1: 'DNS Compromise',
+    2: 'DNS Poisoning',
+    3: 'Fraud Orders',
+    4: 'DDoS Attack',
+    5: 'FTP Brute-Force',
+    6: 'Ping of Death',
+    7: 'Phishing',
+    8: 'Fraud VoIP',
+    9: 'Open Proxy',
+    10: 'Web Spam',
+    11: 'Email Spam',
+    12: 'Blog Spam',
+    13: 'VPN IP',
+    14: 'Port Scan',
+    15: 'Hacking',
+    16: 'SQL Injection',
+    17: 'Spoofing',
+    18: 'Brute-Force',
+    19: 'Bad Web Bot',
+    20: 'Exploited Host',
+    21: 'Web App Attack',
+    22: 'SSH',
+    23: 'IoT Targeted'
+};
+
+const client = createUpstreamClient({
+    name: 'abuseipdb',
+    cacheTtlMs: config.abuseIpdb.cacheTtlMs,
+    parseRateLimitHeaders: parseAbuseIpdbHeaders
+});
+
+/**
+ * Returns true when an API key is configured
+ */
+function isConfigured() {
+    return Boolean(config.abuseIpdb.apiKey);
+}
+
+/**
+ * Sends an authenticated GET to an AbuseIPDB endpoint, converting HTTP errors
+ * into the same messages the routes have always reported
+ */
+async function abuseIpdbGet(path, params, cacheKey) {
+    try {
+        return await client.request({
+            endpoint: path,
+            cacheKey,
+            method: 'get',
+            url: `${config.abuseIpdb.baseUrl}/${path}`,
+            params,
+            headers: {
+                'Key': config.abuseIpdb.apiKey,
+                'Accept': 'application/json'
+            }
+        });
+    } catch (error) {
+        if (error.response) {
+            console.error(`AbuseIPDB API error ${error.response.status}:`, JSON.stringify(error.response.data));
+            throw new Error(`AbuseIPDB API responded with status: ${error.response.status}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checks a single IP. Returns { data, meta } where data is AbuseIPDB's response body.
+ */
+async function checkIp(ip, { maxAgeInDays = 90, verbose = true } = {}) {
+    const params = { ipAddress: ip, maxAgeInDays };
+    if (verbose) params.verbose = '';
+    return abuseIpdbGet('check', params, `check|${maxAgeInDays}|${verbose}|${ip}`);
+}
+
+/**
+ * Checks every reported address inside a network (AbuseIPDB "check-block"). Returns { data, meta }.
+ */
+async function checkBlock(network, { maxAgeInDays = 30 } = {}) {
+    return abuseIpdbGet('check-block', { network, maxAgeInDays }, `check-block|${maxAgeInDays}|${network}`);
+}
+
+/**
+ * Counts report categories across verbose reports and returns the most frequent ones with names
+ */
+function topCategories(reports, limit = 5) {
+    const counts = new Map();
+    for (const report of reports || []) {
+        for (const id of report.categories || []) {
+            counts.set(id, (counts.get(id) || 0) + 1);
+        }
+    }
+
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .slice(0, limit)
+        .map(([id, count]) => ({ id, name: ABUSE_CATEGORIES[id] || `Category ${id}`, count }));
+}
+
+/**
+ * Reduces a "check" response to the compact shape used by the bulk routes
+ */
+function normalizeCheckResult(data) {
+    return {
+        ip: data.ipAddress,
+        score: data.abuseConfidenceScore,
+        totalReports: data.totalReports,
+        distinctUsers: data.numDistinctUsers,
+        lastReported: data.lastReportedAt || null,
+        usageType: data.usageType || null,
+        isp: data.isp || null,
+        domain: data.domain || null,
+        countryCode: data.countryCode || null,
+        isWhitelisted: data.isWhitelisted ?? null,
+        isTor: data.isTor ?? null,
+        topCategories: topCategories(data.reports)
+    };
+}
+
+/**
+ * Reduces a "check-block" response to the network bounds and its reported addresses
+ */
+function normalizeBlockResult(data) {
+    return {
+        networkAddress: data.networkAddress,
+        netmask: data.netmask,
+        minAddress: data.minAddress,
+        maxAddress: data.maxAddress,
+        possibleHosts: data.numPossibleHosts,
+        addressSpace: data.addressSpaceDesc,
+        reportedAddresses: (data.reportedAddress || []).map(entry => ({
+            ip: entry.ipAddress,
+            score: entry.abuseConfidenceScore,
+            totalReports: entry.numReports,
+            lastReported: entry.mostRecentReport || null,
+            countryCode: entry.countryCode || null
+        }))
+    };
+}
+
+/**
+ * Checks a list of IPs with bounded concurrency. Repeated IPs are checked once
+ * and non-routable ones are skipped. Each result is
+ * { ip, status: 'success' | 'skipped' | 'fail', reputation | classification | error }.
+ */
+async function checkIps(ips, options) {
+    const uniqueIps = [...new Set(ips)];
+
+    const results = await mapWithConcurrency(uniqueIps, options.concurrency || config.abuseIpdb.maxConcurrency, async (ip) => {
+        if (!isRoutable(ip)) {
+            return { ip, status: 'skipped', classification: classifyIp(ip) };
+        }
+        try {
+            const { data } = await checkIp(ip, options);
+            return { ip, status: 'success', reputation: normalizeCheckResult(data.data) };
+        } catch (error) {
+            console.error(`AbuseIPDB lookup failed for ${ip}:`, error.message);
+            return { ip, status: 'fail', error: error.message };
+        }
+    });
+
+    return {
+        results,
+        meta: {
+            requested: ips.length,
+            unique: uniqueIps.length,
+            skipped: results.filter(result => result.status === 'skipped').length,
+            failed: results.filter(result => result.status === 'fail').length
+        }
+    };
+}
+
+module.exports = {
+    ABUSE_CATEGORIES,
+    isConfigured,
+    checkIp,
+    checkBlock,
+    checkIps,
+    normalizeCheckResult,
+    normalizeBlockResult
+};
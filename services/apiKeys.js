@@ -0,0 +1,137 @@
+// ============================================================================
+// API KEYS (issued client credentials)
+// ============================================================================
+//
+// Keys are shown once when issued; only their SHA-256 hash is persisted. Each
+// key has a role ("lookup" may use the lookup and analysis routes, "admin" may
+// also change configuration) and optional per-key limits that override the
+// configured defaults. API_ADMIN_KEY, when set, is accepted as an admin key
+// without being stored, so the first keys can be issued.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const ROLES = ['lookup', 'admin'];
+
+const KEY_PREFIX = 'mipt_';
+
+/**
+ * Raised for key operations the caller can fix (unknown id).
+ * "status" is the HTTP status the routes answer with.
+ */
+class ApiKeyError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.status = status;
+    }
+}
+
+const store = createJsonFileStore(config.auth.keysPath, { keys: [] });
+const state = store.load();
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const bootstrapHash = config.auth.adminKey ? hashKey(config.auth.adminKey) : null;
+
+/**
+ * Public view of a stored key (everything but its hash)
+ */
+function publicKey({ hash, ...key }) {
+    return { ...key };
+}
+
+/**
+ * Returns true when a key's expiry has passed
+ */
+function isExpired(key, now = Date.now()) {
+    return Boolean(key.expiresAt) && Date.parse(key.expiresAt) <= now;
+}
+
+/**
+ * Lists the issued keys (without their hashes)
+ */
+function listKeys() {
+    return state.keys.map(publicKey);
+}
+
+/**
+ * Issues a key. Returns the stored record plus the plaintext "key", which is
+ * not kept and cannot be shown again.
+ */
+function createKey({ name, role = 'lookup', rateLimitPerMinute, dailyQuota, expiresAt }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name,
+        role,
+        // Enough of the key to recognise it in listings
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashKey(key),
+        rateLimitPerMinute: rateLimitPerMinute ?? null,
+        dailyQuota: dailyQuota ?? null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        createdAt: new Date().toISOString()
+    };
+    state.keys.push(record);
+    store.save(state);
+    return { ...publicKey(record), key };
+}
+
+/**
+ * Revokes a key (throws 404 for an unknown id)
+ */
+function revokeKey(id) {
+    const index = state.keys.findIndex(candidate => candidate.id === id);
+    if (index === -1) throw new ApiKeyError(`API key "${id}" not found.`, 404);
+    state.keys.splice(index, 1);
+    store.save(state);
+}
+
+/**
+ * Resolves a presented key to its client: { id, name, role, rateLimitPerMinute,
+ * dailyQuota }, with the configured defaults filled in. Returns null for an
+ * unknown, revoked or expired key.
+ */
+function resolveKey(key) {
+    if (!key) return null;
+    const hash = hashKey(key);
+
+    if (bootstrapHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(bootstrapHash))) {
+        return {
+            id: 'bootstrap',
+            name: 'API_ADMIN_KEY',
+            role: 'admin',
+            rateLimitPerMinute: config.auth.rateLimitPerMinute,
+            dailyQuota: config.auth.dailyQuota
+        };
+    }
+
+    const record = state.keys.find(candidate => candidate.hash === hash);
+    if (!record || isExpired(record)) return null;
+    return {
+        id: record.id,
+        name: record.name,
+        role: record.role,
+        rateLimitPerMinute: record.rateLimitPerMinute ?? config.auth.rateLimitPerMinute,
+        dailyQuota: record.dailyQuota ?? config.auth.dailyQuota
+    };
+}
+
+/**
+ * Returns true when a role may use routes that require "required"
+ */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+    ROLES,
+    ApiKeyError,
+    listKeys,
+    createKey,
+    revokeKey,
+    resolveKey,
+    hasRole
+};
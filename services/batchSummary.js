@@ -0,0 +1,169 @@
+// ============================================================================
+// BATCH SUMMARY (aggregate analytics over batch lookup results)
+// ============================================================================
+//
+// Breaks a batch down by country, ASN, organisation and ISP (each group with the
+// subnets covering its IPs), reports the hosting/proxy/mobile share and, when
+// reputation data is present, the abuse-score distribution. Groups holding at
+// least half of the analyzed IPs are called out under "dominant".
+
+const config = require('../config');
+const { summarizeSubnets } = require('../utils/subnets');
+const { normalizeGeolocation } = require('./enrichment');
+
+// Share of the analyzed IPs from which a group is reported as dominant
+const DOMINANT_PERCENT = 50;
+
+const FLAGS = ['hosting', 'proxy', 'mobile'];
+
+const percentOf = (count, total) => (total === 0 ? 0 : Number(((count / total) * 100).toFixed(1)));
+
+/**
+ * Summary records from ip-api shaped results ("ips" holds each result's address)
+ */
+function recordsFromGeolocation(results, ips) {
+    return results.map((data, index) => ({
+        ip: data.query || ips[index],
+        status: data.status,
+        geolocation: data.status === 'success' ? normalizeGeolocation(data) : null,
+        reputation: null
+    }));
+}
+
+/**
+ * Summary records from AbuseIPDB batch results ({ ip, status, reputation })
+ */
+function recordsFromReputation(results) {
+    return results.map(result => ({
+        ip: result.ip,
+        status: result.status,
+        geolocation: null,
+        reputation: result.reputation || null
+    }));
+}
+
+/**
+ * Groups the records by one dimension. "keyOf(record)" returns { key, label } or null
+ * when the record has no value for it. Groups are sorted by size, largest first.
+ */
+function groupBy(records, keyOf, total, subnetOptions) {
+    const groups = new Map();
+    for (const record of records) {
+        const value = keyOf(record);
+        if (!value || value.key === null || value.key === undefined || value.key === '') continue;
+        if (!groups.has(value.key)) groups.set(value.key, { key: value.key, label: value.label ?? null, ips: [] });
+        groups.get(value.key).ips.push(record.ip);
+    }
+
+    return [...groups.values()]
+        .map(group => ({
+            key: group.key,
+            label: group.label,
+            count: group.ips.length,
+            percent: percentOf(group.ips.length, total),
+            subnets: summarizeSubnets(group.ips, subnetOptions).subnets.map(entry => entry.subnet),
+            ips: group.ips
+        }))
+        .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+}
+
+/**
+ * Share of records with each of the hosting/proxy/mobile flags, out of the
+ * records where the flag is known
+ */
+function flagShares(records) {
+    return Object.fromEntries(FLAGS.map(flag => {
+        const known = records.filter(record => typeof record.geolocation?.[flag] === 'boolean');
+        const count = known.filter(record => record.geolocation[flag]).length;
+        return [flag, { count, known: known.length, percent: percentOf(count, known.length) }];
+    }));
+}
+
+/**
+ * Distribution of AbuseIPDB confidence scores over the verdict thresholds, or
+ * null when no record carries a score
+ */
+function scoreDistribution(records, { suspiciousScore, maliciousScore }) {
+    const scores = records.map(record => record.reputation?.score).filter(Number.isFinite).sort((a, b) => a - b);
+    if (scores.length === 0) return null;
+
+    const buckets = [
+        { label: 'clean', min: 0, max: 0 },
+        { label: 'low', min: 1, max: suspiciousScore - 1 },
+        { label: 'suspicious', min: suspiciousScore, max: maliciousScore - 1 },
+        { label: 'malicious', min: maliciousScore, max: 100 }
+    ].filter(bucket => bucket.min <= bucket.max);
+    const middle = Math.floor(scores.length / 2);
+
+    return {
+        count: scores.length,
+        min: scores[0],
+        max: scores[scores.length - 1],
+        average: Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1)),
+        median: scores.length % 2 === 1 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2,
+        buckets: buckets.map(bucket => {
+            const count = scores.filter(score => score >= bucket.min && score <= bucket.max).length;
+            return { ...bucket, count, percent: percentOf(count, scores.length) };
+        })
+    };
+}
+
+/**
+ * Summarizes batch lookup records ({ ip, status, geolocation, reputation }).
+ * Each IP counts once. Country and ISP fall back to the AbuseIPDB data when no
+ * geolocation is available. "subnetOptions" ({ maxPrefixWidth, maxOverCoverage })
+ * is passed to the subnet summarizer for every group; "thresholds" ({ suspicious,
+ * malicious }) override the configured verdict scores of the score buckets.
+ */
+function summarizeBatch(records, subnetOptions = {}, thresholds = {}) {
+    const unique = [...new Map(records.map(record => [record.ip, record])).values()];
+    const analyzed = unique.filter(record => record.geolocation || record.reputation);
+    const total = analyzed.length;
+
+    const byCountry = groupBy(analyzed, ({ geolocation, reputation }) => ({
+        key: geolocation?.countryCode || reputation?.countryCode || geolocation?.country,
+        label: geolocation?.country
+    }), total, subnetOptions);
+    const byAsn = groupBy(analyzed, ({ geolocation }) => geolocation && geolocation.asn !== null && {
+        key: `AS${geolocation.asn}`,
+        label: geolocation.asName || geolocation.org || geolocation.isp
+    }, total, subnetOptions);
+    const byOrg = groupBy(analyzed, ({ geolocation }) => ({ key: geolocation?.org }), total, subnetOptions);
+    const byIsp = groupBy(analyzed, ({ geolocation, reputation }) => ({ key: geolocation?.isp || reputation?.isp }), total, subnetOptions);
+
+    const dominant = [['country', byCountry], ['asn', byAsn], ['org', byOrg], ['isp', byIsp]]
+        .filter(([, groups]) => groups.length > 0 && groups[0].percent >= DOMINANT_PERCENT)
+        .map(([dimension, [group]]) => ({
+            dimension,
+            key: group.key,
+            label: group.label,
+            count: group.count,
+            percent: group.percent,
+            subnets: group.subnets,
+            message: `${group.percent}% of the IPs (${group.count} of ${total}) come from ${group.key}${group.label ? ` (${group.label})` : ''}`
+        }));
+
+    const skipped = unique.filter(record => record.status === 'skipped').length;
+    return {
+        total: unique.length,
+        analyzed: total,
+        skipped,
+        failed: unique.length - total - skipped,
+        byCountry,
+        byAsn,
+        byOrg,
+        byIsp,
+        flags: flagShares(analyzed),
+        abuseScores: scoreDistribution(analyzed, {
+            suspiciousScore: thresholds.suspicious ?? config.enrichment.suspiciousScore,
+            maliciousScore: thresholds.malicious ?? config.enrichment.maliciousScore
+        }),
+        dominant
+    };
+}
+
+module.exports = {
+    recordsFromGeolocation,
+    recordsFromReputation,
+    summarizeBatch
+};
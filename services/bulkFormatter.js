@@ -0,0 +1,152 @@
+// ============================================================================
+// BULK REPORT FORMATTING AND DUPLICATE GROUPING
+// ============================================================================
+//
+// Alert storms produce many near-identical reports. Each report is formatted on
+// its own, then reports describing the same incident are grouped so one case
+// can be opened per group.
+
+const { formatReport, describeReport } = require('./reportFormatter');
+
+const GROUPING_CRITERIA = ['signature', 'category', 'observables'];
+
+/**
+ * Lowercases and collapses whitespace so trivially different values compare equal
+ */
+function normalizeValue(value) {
+    return value === null ? null : value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns true when two reports describe the same incident under the given criteria.
+ * Missing values match each other; observables match when the reports share at
+ * least one (or neither has any).
+ */
+function sameIncident(a, b, groupBy) {
+    for (const criterion of groupBy) {
+        if (criterion === 'observables') {
+            if (a.observableKeys.size === 0 && b.observableKeys.size === 0) continue;
+            if (![...a.observableKeys].some(key => b.observableKeys.has(key))) return false;
+        } else if (normalizeValue(a[criterion]) !== normalizeValue(b[criterion])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Groups report descriptions with a union-find, so chains of matches (A~B, B~C) form one group.
+ * Returns arrays of report indexes, in order of first appearance.
+ */
+function groupIndexes(descriptions, groupBy) {
+    const parent = descriptions.map((entry, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    for (let i = 0; i < descriptions.length; i++) {
+        for (let j = i + 1; j < descriptions.length; j++) {
+            if (find(i) !== find(j) && sameIncident(descriptions[i], descriptions[j], groupBy)) {
+                parent[Math.max(find(i), find(j))] = Math.min(find(i), find(j));
+            }
+        }
+    }
+
+    const groups = new Map();
+    descriptions.forEach((entry, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(index);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Earliest and latest time seen across a group's timelines (ISO 8601, or null)
+ */
+function seenRange(timelines) {
+    const instants = timelines.flatMap(({ dateOfIssue, start, end }) => [start, end, dateOfIssue])
+        .filter(Boolean)
+        .map(iso => ({ iso, epochMs: Date.parse(iso) }))
+        .sort((a, b) => a.epochMs - b.epochMs);
+    return {
+        firstSeen: instants.length > 0 ? instants[0].iso : null,
+        lastSeen: instants.length > 0 ? instants[instants.length - 1].iso : null
+    };
+}
+
+/**
+ * Merges the formatted reports of one group into a summary
+ */
+function summarizeGroup(id, indexes, formatted, descriptions) {
+    const fields = {};
+    const observables = new Map();
+
+    for (const index of indexes) {
+        for (const [fieldKey, field] of Object.entries(formatted[index].extractedFields)) {
+            if (!fields[fieldKey]) fields[fieldKey] = { label: field.label, values: [] };
+            if (!fields[fieldKey].values.includes(field.value)) fields[fieldKey].values.push(field.value);
+        }
+        for (const observable of formatted[index].observables) {
+            const key = `${observable.type}:${observable.value.toLowerCase()}`;
+            if (!observables.has(key)) {
+                observables.set(key, { type: observable.type, value: observable.value, ...(observable.roles ? { roles: [] } : {}), reports: 0 });
+            }
+            const merged = observables.get(key);
+            merged.reports++;
+            if (merged.roles) merged.roles = [...new Set([...merged.roles, ...observable.roles])].sort().reverse();
+        }
+    }
+
+    const first = descriptions[indexes[0]];
+    return {
+        id,
+        count: indexes.length,
+        reports: indexes,
+        signature: indexes.map(index => descriptions[index].signature).find(Boolean) ?? null,
+        category: indexes.map(index => descriptions[index].category).find(Boolean) ?? null,
+        ...seenRange(indexes.map(index => descriptions[index].timeline)),
+        timezone: first.timeline.timezone,
+        fields,
+        observables: [...observables.values()].sort((a, b) => b.reports - a.reports),
+        formattedText: formatted[indexes[0]].formattedText
+    };
+}
+
+/**
+ * Formats a list of reports and groups the duplicates.
+ *
+ * "options" are the formatReport options applied to every report; "groupBy" lists
+ * the criteria two reports must share (default: signature, category and observables).
+ * Throws a ProfileError for an unknown profile.
+ *
+ * Returns { total, groupCount, groups, reports } where each report is the
+ * formatReport result plus its "index" and "group" id.
+ */
+function formatReportBatch(reports, options = {}, groupBy = GROUPING_CRITERIA) {
+    const formatted = reports.map(rawText => formatReport(rawText, options));
+    const descriptions = reports.map((rawText, index) => ({
+        ...describeReport(rawText, options),
+        observableKeys: new Set(formatted[index].observables.map(observable => `${observable.type}:${observable.value.toLowerCase()}`))
+    }));
+
+    const groups = groupIndexes(descriptions, groupBy)
+        .map((indexes, position) => summarizeGroup(position + 1, indexes, formatted, descriptions));
+
+    const groupOf = new Map(groups.flatMap(group => group.reports.map(index => [index, group.id])));
+    return {
+        total: reports.length,
+        groupCount: groups.length,
+        groups,
+        reports: formatted.map((result, index) => ({ index, group: groupOf.get(index), ...result }))
+    };
+}
+
+module.exports = {
+    GROUPING_CRITERIA,
+    formatReportBatch
+};
@@ -0,0 +1,241 @@
+// ============================================================================
+// IP ENRICHMENT (geolocation + reputation + verdict)
+// ============================================================================
+
+const config = require('../config');
+const geoProviders = require('./geoProviders');
+const abuseIpdb = require('./abuseIpdb');
+const { classifyIp, isRoutable } = require('../utils/ipClassify');
+const { normalizeIp } = require('../utils/ipAddress');
+
+const GEOLOCATION_FIELDS = 'status,message,query,country,countryCode,regionName,city,lat,lon,timezone,isp,org,as,asname,mobile,proxy,hosting';
+
+const VERDICT_RANK = { unknown: 0, benign: 1, suspicious: 2, malicious: 3 };
+
+/**
+ * Extracts the AS number from ip-api's "as" field ("AS15169 Google LLC" -> 15169)
+ */
+function parseAsn(value) {
+    const match = /^AS(\d+)/i.exec(String(value || '').trim());
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Merges per-request overrides over the configured verdict policy
+ */
+function resolvePolicy(overrides = {}) {
+    const thresholds = overrides.thresholds || {};
+    const watchlists = overrides.watchlists || {};
+    return {
+        suspiciousScore: thresholds.suspicious ?? config.enrichment.suspiciousScore,
+        maliciousScore: thresholds.malicious ?? config.enrichment.maliciousScore,
+        flagProxy: thresholds.flagProxy ?? true,
+        flagHosting: thresholds.flagHosting ?? false,
+        flagTor: thresholds.flagTor ?? true,
+        watchCountries: new Set((watchlists.countries || config.enrichment.watchCountries).map(code => String(code).toUpperCase())),
+        watchAsns: new Set((watchlists.asns || config.enrichment.watchAsns).map(parseAsnEntry).filter(asn => asn !== null))
+    };
+}
+
+/**
+ * Accepts watchlist ASNs as numbers or "AS64500" strings
+ */
+function parseAsnEntry(entry) {
+    return typeof entry === 'number' ? entry : parseAsn(/^\d+$/.test(String(entry)) ? `AS${entry}` : entry);
+}
+
+/**
+ * Reduces an ip-api result to the geolocation/network fields used by enrichment
+ */
+function normalizeGeolocation(data) {
+    return {
+        country: data.country ?? null,
+        countryCode: data.countryCode ?? null,
+        region: data.regionName ?? null,
+        city: data.city ?? null,
+        lat: data.lat ?? null,
+        lon: data.lon ?? null,
+        timezone: data.timezone ?? null,
+        isp: data.isp ?? null,
+        org: data.org ?? null,
+        asn: parseAsn(data.as),
+        asName: data.asname ?? null,
+        hosting: data.hosting ?? null,
+        proxy: data.proxy ?? null,
+        mobile: data.mobile ?? null
+    };
+}
+
+/**
+ * Computes benign / suspicious / malicious from whatever provider data is available,
+ * with the reasons that produced it. "unknown" means neither provider answered.
+ */
+function computeVerdict(geolocation, reputation, policy) {
+    let verdict = 'benign';
+    const reasons = [];
+    const escalate = (level, reason) => {
+        if (VERDICT_RANK[level] > VERDICT_RANK[verdict]) verdict = level;
+        reasons.push(reason);
+    };
+
+    if (!geolocation && !reputation) {
+        return { verdict: 'unknown', reasons: ['No data available from any provider'] };
+    }
+
+    if (reputation) {
+        const score = reputation.score ?? 0;
+        if (score >= policy.maliciousScore) {
+            escalate('malicious', `AbuseIPDB confidence score ${score} is at or above ${policy.maliciousScore}`);
+        } else if (score >= policy.suspiciousScore) {
+            escalate('suspicious', `AbuseIPDB confidence score ${score} is at or above ${policy.suspiciousScore}`);
+        }
+        if (policy.flagTor && reputation.isTor) {
+            escalate('suspicious', 'AbuseIPDB reports a Tor exit node');
+        }
+    }
+
+    if (geolocation) {
+        if (geolocation.countryCode && policy.watchCountries.has(geolocation.countryCode.toUpperCase())) {
+            escalate('suspicious', `Country ${geolocation.countryCode} is on the watchlist`);
+        }
+        if (geolocation.asn !== null && policy.watchAsns.has(geolocation.asn)) {
+            escalate('suspicious', `AS${geolocation.asn} is on the watchlist`);
+        }
+        if (policy.flagProxy && geolocation.proxy) {
+            escalate('suspicious', 'ip-api flags the address as a proxy, VPN or Tor node');
+        }
+        if (policy.flagHosting && geolocation.hosting) {
+            escalate('suspicious', 'ip-api flags the address as hosting / data center');
+        }
+    }
+
+    if (reasons.length === 0) {
+        reasons.push(reputation
+            ? `AbuseIPDB confidence score ${reputation.score ?? 0} is below ${policy.suspiciousScore} and no watchlist matched`
+            : 'No watchlist matched (reputation data unavailable)');
+    }
+
+    return { verdict, reasons };
+}
+
+/**
+ * Fetches geolocation for routable IPs, keyed by IP. A provider failure is
+ * reported in "error" instead of being thrown.
+ */
+async function fetchGeolocation(ips) {
+    try {
+        const { data } = ips.length === 1
+            ? await geoProviders.lookupGeolocation(ips[0], GEOLOCATION_FIELDS).then(result => ({ data: [result.data] }))
+            : await geoProviders.lookupGeolocationBatch(ips, GEOLOCATION_FIELDS);
+        return { byIp: new Map(ips.map((ip, index) => [ip, data[index]])), error: null };
+    } catch (error) {
+        console.error('Enrichment geolocation lookup failed:', error.message);
+        return { byIp: new Map(), error: error.message };
+    }
+}
+
+/**
+ * Fetches AbuseIPDB reputation for routable IPs, keyed by IP
+ */
+async function fetchReputation(ips, options) {
+    if (!abuseIpdb.isConfigured()) {
+        return { byIp: new Map(), error: 'AbuseIPDB API key not configured' };
+    }
+    try {
+        const { results } = await abuseIpdb.checkIps(ips, options);
+        return { byIp: new Map(results.map(result => [result.ip, result])), error: null };
+    } catch (error) {
+        console.error('Enrichment reputation lookup failed:', error.message);
+        return { byIp: new Map(), error: error.message };
+    }
+}
+
+/**
+ * Enriches a list of IPs with geolocation, ASN/ISP, hosting/proxy flags and
+ * AbuseIPDB reputation, then computes a verdict for each. Either provider may
+ * fail without losing the other's data; failures are listed under "errors".
+ *
+ * Options: thresholds { suspicious, malicious, flagProxy, flagHosting, flagTor },
+ * watchlists { countries, asns }, maxAgeInDays.
+ */
+async function enrichIps(ips, options = {}) {
+    const policy = resolvePolicy(options);
+    const uniqueIps = [...new Set(ips.map(ip => normalizeIp(ip) || ip))];
+    const routableIps = uniqueIps.filter(isRoutable);
+
+    const [geo, reputation] = routableIps.length > 0
+        ? await Promise.all([
+            fetchGeolocation(routableIps),
+            fetchReputation(routableIps, { maxAgeInDays: options.maxAgeInDays ?? 90, verbose: true })
+        ])
+        : [{ byIp: new Map(), error: null }, { byIp: new Map(), error: null }];
+
+    const results = uniqueIps.map(ip => {
+        if (!isRoutable(ip)) {
+            const classification = classifyIp(ip);
+            return {
+                ip,
+                status: 'skipped',
+                classification,
+                geolocation: null,
+                reputation: null,
+                verdict: 'unknown',
+                reasons: [`${classification.name} address (${classification.category}); not looked up`],
+                errors: {}
+            };
+        }
+
+        const errors = {};
+        const geoResult = geo.byIp.get(ip);
+        let geolocation = null;
+        if (geoResult && geoResult.status === 'success') {
+            geolocation = normalizeGeolocation(geoResult);
+        } else {
+            errors.geolocation = geo.error || geoResult?.message || 'No geolocation result';
+        }
+
+        const reputationResult = reputation.byIp.get(ip);
+        let reputationData = null;
+        if (reputationResult && reputationResult.status === 'success') {
+            reputationData = reputationResult.reputation;
+        } else {
+            errors.reputation = reputation.error || reputationResult?.error || 'No reputation result';
+        }
+
+        const { verdict, reasons } = computeVerdict(geolocation, reputationData, policy);
+        return {
+            ip,
+            status: geolocation || reputationData ? 'success' : 'fail',
+            geolocation,
+            reputation: reputationData,
+            verdict,
+            reasons,
+            errors
+        };
+    });
+
+    const counts = { benign: 0, suspicious: 0, malicious: 0, unknown: 0 };
+    for (const result of results) counts[result.verdict]++;
+
+    return {
+        results,
+        meta: {
+            requested: ips.length,
+            unique: uniqueIps.length,
+            verdicts: counts,
+            providerErrors: {
+                geolocation: geo.error,
+                reputation: reputation.error
+            }
+        }
+    };
+}
+
+module.exports = {
+    parseAsn,
+    parseAsnEntry,
+    normalizeGeolocation,
+    computeVerdict,
+    resolvePolicy,
+    enrichIps
+};
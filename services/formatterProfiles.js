@@ -0,0 +1,306 @@
+// ============================================================================
+// REPORT FORMATTER PROFILES (named, persisted, versioned)
+// ============================================================================
+//
+// A profile holds everything the formatter needs for one report source: field
+// keywords, priorities, field order, section labels and how its timestamps are
+// read. Every change is stored as a new version; older versions can be restored
+// with a rollback.
+
+const config = require('../config');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Sections the formatter knows how to extract
+const SECTION_KEYS = ['general', 'incidentInfo', 'actionRecommendation'];
+
+const DEFAULT_FIELD_CONFIG = {
+    // General Information fields
+    'category': {
+        keywords: ['Category','Categories'],
+        section: 'general',
+        outputLabel: 'Category',
+        enabled: true,
+        priority: 1
+    },
+    'subCategories': {
+        keywords: ['Sub Categories', 'Sub Category', 'Sub Categor'],
+        section: 'general',
+        outputLabel: 'Sub Categories',
+        enabled: true,
+        priority: 2
+    },
+    'deviceAction': {
+        keywords: ['Device Action'],
+        section: 'general',
+        outputLabel: 'Device Action',
+        enabled: true,
+        priority: 3
+    },
+    'signature': {
+        keywords: ['Signature','Signatures','Signature Alert'],
+        section: 'general',
+        outputLabel: 'Signature',
+        enabled: false,
+        priority: 3
+    },
+    'severity': {
+        keywords: ['Severity'],
+        section: 'general',
+        outputLabel: 'Severity',
+        enabled: false,
+        priority: 4
+    },
+    'dateOfIssue': {
+        keywords: ['Date of Issue'],
+        section: 'general',
+        outputLabel: 'Date of Issue',
+        enabled: false,
+        priority: 5
+    },
+    'startTime': {
+        keywords: ['Start Time'],
+        section: 'general',
+        outputLabel: 'Start Time',
+        enabled: false,
+        priority: 6
+    },
+    'endTime': {
+        keywords: ['End Time'],
+        section: 'general',
+        outputLabel: 'End Time',
+        enabled: false,
+        priority: 7
+    },
+    'destinationPort': {
+        keywords: ['Destination Port'],
+        section: 'general',
+        outputLabel: 'Destination Port',
+        enabled: false,
+        priority: 8
+    }
+};
+
+const DEFAULT_SECTION_CONFIG = {
+    general: { enabled: true, label: 'Incident General Information' },
+    incidentInfo: { enabled: true, label: 'Incident Information' },
+    actionRecommendation: { enabled: true, label: 'Action & Recommendation' }
+};
+
+const DEFAULT_FIELD_ORDER = ['category', 'subCategories', 'deviceAction', 'severity', 'dateOfIssue', 'startTime', 'endTime', 'destinationPort'];
+
+/**
+ * Raised for profile operations the caller can fix (unknown name, conflict, invalid content).
+ * "status" is the HTTP status the routes answer with; "errors" lists validation problems.
+ */
+class ProfileError extends Error {
+    constructor(message, status, errors = []) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+const startedAt = new Date().toISOString();
+
+/**
+ * The built-in default profile. It is only kept in memory: the default profile
+ * is written to the store on its first change, so until then every start picks
+ * up the built-in definition of the running code.
+ */
+function builtInDefault() {
+    return {
+        name: DEFAULT_PROFILE_NAME,
+        description: 'Built-in profile',
+        fieldConfig: structuredClone(DEFAULT_FIELD_CONFIG),
+        fieldOrder: [...DEFAULT_FIELD_ORDER],
+        sectionConfig: structuredClone(DEFAULT_SECTION_CONFIG),
+        version: 1,
+        createdAt: startedAt,
+        updatedAt: startedAt
+    };
+}
+
+const store = createJsonFileStore(config.formatter.profilesPath, { profiles: {} });
+const state = store.load();
+
+/**
+ * Returns the stored entry for a profile, the built-in entry for the default
+ * profile before its first change, or null
+ */
+function findEntry(name) {
+    if (state.profiles[name]) return state.profiles[name];
+    return name === DEFAULT_PROFILE_NAME ? { versions: [builtInDefault()] } : null;
+}
+
+/**
+ * Checks what the request schema cannot: field order and section keys must refer to known entries
+ */
+function validateProfile(profile) {
+    const errors = [];
+    const fieldKeys = new Set(Object.keys(profile.fieldConfig));
+    const seen = new Set();
+
+    profile.fieldOrder.forEach((key, index) => {
+        if (!fieldKeys.has(key)) {
+            errors.push({ path: `fieldOrder[${index}]`, message: 'is not a field of this profile', value: key });
+        } else if (seen.has(key)) {
+            errors.push({ path: `fieldOrder[${index}]`, message: 'is listed more than once', value: key });
+        }
+        seen.add(key);
+    });
+
+    for (const key of Object.keys(profile.sectionConfig)) {
+        if (!SECTION_KEYS.includes(key)) {
+            errors.push({ path: `sectionConfig.${key}`, message: `is not a known section (${SECTION_KEYS.join(', ')})`, value: key });
+        }
+    }
+
+    if (errors.length > 0) throw new ProfileError('Profile validation failed.', 400, errors);
+}
+
+/**
+ * Fills optional parts of a submitted definition: sections default to the built-in
+ * labels and the field order defaults to field priority.
+ */
+function completeDefinition(definition) {
+    const fieldConfig = definition.fieldConfig;
+    return {
+        description: definition.description || '',
+        fieldConfig,
+        fieldOrder: definition.fieldOrder || Object.keys(fieldConfig)
+            .sort((a, b) => (fieldConfig[a].priority ?? 999) - (fieldConfig[b].priority ?? 999)),
+        sectionConfig: { ...DEFAULT_SECTION_CONFIG, ...definition.sectionConfig },
+        ...(definition.timestamps ? { timestamps: definition.timestamps } : {})
+    };
+}
+
+/**
+ * Returns the stored entry for a profile, or throws a 404 ProfileError
+ */
+function entryFor(name) {
+    const entry = findEntry(name);
+    if (!entry) throw new ProfileError(`Profile "${name}" not found.`, 404);
+    return entry;
+}
+
+/**
+ * Appends a new version to a profile and persists the store
+ */
+function appendVersion(name, content, extra = {}) {
+    const entry = findEntry(name) || { versions: [] };
+    const previous = entry.versions[entry.versions.length - 1];
+    const now = new Date().toISOString();
+    const profile = {
+        name,
+        ...content,
+        version: previous ? previous.version + 1 : 1,
+        createdAt: previous ? previous.createdAt : now,
+        updatedAt: now,
+        ...extra
+    };
+    validateProfile(profile);
+
+    entry.versions.push(profile);
+    entry.versions = entry.versions.slice(-Math.max(1, config.formatter.historyLimit));
+    state.profiles[name] = entry;
+    store.save(state);
+    return structuredClone(profile);
+}
+
+/**
+ * Lists every profile with its current version
+ */
+function listProfiles() {
+    const names = [...new Set([DEFAULT_PROFILE_NAME, ...Object.keys(state.profiles)])];
+    return names.map(name => findEntry(name)).map(({ versions }) => {
+        const current = versions[versions.length - 1];
+        return { name: current.name, description: current.description, version: current.version, updatedAt: current.updatedAt };
+    });
+}
+
+/**
+ * Returns the current version of a profile (throws 404 for an unknown name)
+ */
+function getProfile(name) {
+    const { versions } = entryFor(name);
+    return structuredClone(versions[versions.length - 1]);
+}
+
+/**
+ * Creates a profile (throws 409 when the name is taken)
+ */
+function createProfile(name, definition) {
+    if (findEntry(name)) throw new ProfileError(`Profile "${name}" already exists.`, 409);
+    return appendVersion(name, completeDefinition(definition));
+}
+
+/**
+ * Replaces a profile's content, recording a new version
+ */
+function updateProfile(name, definition) {
+    entryFor(name);
+    return appendVersion(name, completeDefinition(definition));
+}
+
+/**
+ * Merges field/section entries into a profile, recording a new version
+ * (the behaviour of the original POST /api/format-report/config)
+ */
+function mergeIntoProfile(name, { fieldConfig, sectionConfig }) {
+    const current = getProfile(name);
+    const mergedFields = { ...current.fieldConfig, ...fieldConfig };
+    return appendVersion(name, {
+        description: current.description,
+        fieldConfig: mergedFields,
+        fieldOrder: [...current.fieldOrder, ...Object.keys(fieldConfig || {}).filter(key => !current.fieldOrder.includes(key))],
+        sectionConfig: { ...current.sectionConfig, ...sectionConfig },
+        ...(current.timestamps ? { timestamps: current.timestamps } : {})
+    });
+}
+
+/**
+ * Deletes a profile and its history. The default profile cannot be deleted.
+ */
+function deleteProfile(name) {
+    entryFor(name);
+    if (name === DEFAULT_PROFILE_NAME) {
+        throw new ProfileError(`The "${DEFAULT_PROFILE_NAME}" profile cannot be deleted.`, 409);
+    }
+    delete state.profiles[name];
+    store.save(state);
+}
+
+/**
+ * Returns the stored versions of a profile, newest first
+ */
+function getProfileHistory(name) {
+    return structuredClone(entryFor(name).versions).reverse();
+}
+
+/**
+ * Restores the content of an earlier version as a new version
+ */
+function rollbackProfile(name, version) {
+    const target = entryFor(name).versions.find(entry => entry.version === version);
+    if (!target) throw new ProfileError(`Profile "${name}" has no stored version ${version}.`, 404);
+    const { description, fieldConfig, fieldOrder, sectionConfig, timestamps } = target;
+    const content = { description, fieldConfig, fieldOrder, sectionConfig, ...(timestamps ? { timestamps } : {}) };
+    return appendVersion(name, content, { restoredFrom: version });
+}
+
+module.exports = {
+    DEFAULT_PROFILE_NAME,
+    SECTION_KEYS,
+    ProfileError,
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    mergeIntoProfile,
+    deleteProfile,
+    getProfileHistory,
+    rollbackProfile
+};
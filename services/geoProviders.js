@@ -0,0 +1,148 @@
+// ============================================================================
+// GEOLOCATION PROVIDER CHAIN
+// ============================================================================
+//
+// Providers are tried in the order given by GEO_PROVIDERS. An address moves on
+// to the next provider when the current one throws (down, rate-limited) or
+// does not have a successful answer for it.
+
+const config = require('../config');
+const ipApi = require('./ipApi');
+const { createMmdbProvider, createCsvProvider } = require('./localGeo');
+
+/**
+ * Keeps only the requested ip-api fields of a locally produced result
+ */
+function pickFields(result, fields) {
+    const wanted = new Set(fields.split(','));
+    return Object.fromEntries(Object.entries(result).filter(([key]) => wanted.has(key)));
+}
+
+/**
+ * Wraps a synchronous local backend in the provider interface
+ */
+function localProvider(backend) {
+    return {
+        name: backend.name,
+        async lookup(ip, fields) {
+            return { data: pickFields(backend.lookup(ip), fields), meta: null };
+        },
+        async lookupBatch(ips, fields) {
+            return { data: ips.map(ip => pickFields(backend.lookup(ip), fields)), meta: null };
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    'ip-api': () => ({
+        name: 'ip-api',
+        lookup: (ip, fields) => ipApi.lookupIp(ip, fields),
+        lookupBatch: (ips, fields) => ipApi.lookupBatch(ips, fields)
+    }),
+    mmdb: () => {
+        if (!config.geo.mmdbPath) throw new Error('GEO_MMDB_PATH is not set');
+        return localProvider(createMmdbProvider({ cityPath: config.geo.mmdbPath, asnPath: config.geo.mmdbAsnPath }));
+    },
+    csv: () => {
+        if (!config.geo.csvPath) throw new Error('GEO_CSV_PATH is not set');
+        return localProvider(createCsvProvider({ path: config.geo.csvPath, format: config.geo.csvFormat }));
+    }
+};
+
+/**
+ * Builds the provider chain from configuration, skipping (and logging) providers that cannot start
+ */
+function buildProviderChain(names) {
+    const chain = [];
+    for (const name of names) {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            console.error(`Unknown geolocation provider "${name}" (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+            continue;
+        }
+        try {
+            chain.push(factory());
+        } catch (error) {
+            console.error(`Geolocation provider "${name}" disabled:`, error.message);
+        }
+    }
+    return chain;
+}
+
+const providers = buildProviderChain(config.geo.providers);
+
+const isSuccess = (data) => data && data.status === 'success';
+
+/**
+ * Looks up one IP through the provider chain.
+ * Returns { data, meta, provider } from the first provider with a successful answer,
+ * otherwise the first failure answer; throws only when every provider threw.
+ */
+async function lookupGeolocation(ip, fields) {
+    let fallback = null;
+    let lastError = null;
+
+    for (const provider of providers) {
+        try {
+            const { data, meta } = await provider.lookup(ip, fields);
+            if (isSuccess(data)) return { data, meta, provider: provider.name };
+            if (!fallback) fallback = { data, meta, provider: provider.name };
+        } catch (error) {
+            console.error(`Geolocation provider ${provider.name} failed:`, error.message);
+            lastError = error;
+        }
+    }
+
+    if (fallback) return fallback;
+    throw lastError || new Error('No geolocation provider is configured');
+}
+
+/**
+ * Looks up a list of IPs through the provider chain; only addresses without a
+ * successful answer are passed on to the next provider.
+ * Returns { data, meta, providers } with results in input order.
+ */
+async function lookupGeolocationBatch(ips, fields) {
+    const results = new Array(ips.length).fill(null);
+    const used = [];
+    let meta = null;
+    let lastError = null;
+    let pending = ips.map((ip, index) => index);
+
+    for (const provider of providers) {
+        if (pending.length === 0) break;
+        try {
+            const response = await provider.lookupBatch(pending.map(index => ips[index]), fields);
+            meta = meta || response.meta;
+            used.push(provider.name);
+            pending.forEach((index, position) => {
+                const data = response.data[position];
+                if (isSuccess(data) || !results[index]) results[index] = data;
+            });
+            pending = pending.filter(index => !isSuccess(results[index]));
+        } catch (error) {
+            console.error(`Geolocation provider ${provider.name} failed:`, error.message);
+            lastError = error;
+        }
+    }
+
+    if (results.every(result => result === null)) {
+        throw lastError || new Error('No geolocation provider is configured');
+    }
+
+    const data = results.map((result, index) => result || { status: 'fail', message: lastError.message, query: ips[index] });
+    return { data, meta, providers: used };
+}
+
+/**
+ * Names of the active providers, in fallback order
+ */
+function activeProviders() {
+    return providers.map(provider => provider.name);
+}
+
+module.exports = {
+    lookupGeolocation,
+    lookupGeolocationBatch,
+    activeProviders
+};
@@ -0,0 +1,129 @@
+// ============================================================================
+// IP-API.COM CLIENT
+// ============================================================================
+
+const config = require('../config');
+const { createUpstreamClient, headerNumber } = require('./upstreamClient');
+const { UpstreamRateLimitError } = require('./rateLimiter');
+
+/**
+ * ip-api reports the requests left in the current window (X-Rl) and the
+ * seconds until it resets (X-Ttl). The free tier allows 45/min on /json
+ * and 15/min on /batch.
+ */
+function parseIpApiHeaders(headers) {
+    const remaining = headerNumber(headers, 'X-Rl');
+    const ttl = headerNumber(headers, 'X-Ttl');
+    return {
+        remaining,
+        resetAt: ttl !== undefined ? Date.now() + ttl * 1000 : undefined
+    };
+}
+
+const client = createUpstreamClient({
+    name: 'ip-api',
+    cacheTtlMs: config.ipApi.cacheTtlMs,
+    parseRateLimitHeaders: parseIpApiHeaders
+});
+
+// Cache keys include the field set, since the same IP can be requested with different fields
+const cacheKeyFor = (ip, fields) => `${fields}|${ip}`;
+const isSuccess = (data) => data && data.status === 'success';
+
+/**
+ * Looks up a single IP (or the caller's IP when empty). Returns { data, meta }.
+ */
+async function lookupIp(ip, fields) {
+    return client.request({
+        endpoint: 'json',
+        cacheKey: cacheKeyFor(ip, fields),
+        cacheable: isSuccess,
+        method: 'get',
+        url: `${config.ipApi.baseUrl}/json/${encodeURIComponent(ip)}`,
+        params: { fields }
+    });
+}
+
+// ip-api rejects batch requests with more than 100 entries
+const BATCH_CHUNK_SIZE = 100;
+
+/**
+ * Looks up a list of IPs through the batch endpoint. Repeated IPs are looked
+ * up once, cached IPs are answered locally, and the rest are sent in chunks of
+ * 100, one after another so the batch limiter can pace them. A failed chunk
+ * does not discard the others: its IPs get a "fail" result naming the chunk.
+ * Returns { data, meta } with results in input order.
+ */
+async function lookupBatch(ips, fields) {
+    const resultsByIp = new Map();
+    const pending = [];
+
+    for (const ip of new Set(ips)) {
+        const cached = client.cache.get(cacheKeyFor(ip, fields));
+        if (cached !== undefined) {
+            resultsByIp.set(ip, cached);
+        } else {
+            pending.push(ip);
+        }
+    }
+
+    const chunks = [];
+    for (let i = 0; i < pending.length; i += BATCH_CHUNK_SIZE) {
+        chunks.push(pending.slice(i, i + BATCH_CHUNK_SIZE));
+    }
+
+    const failedChunks = [];
+    let rateLimitError = null;
+    for (const [chunkIndex, chunk] of chunks.entries()) {
+        const chunkNumber = chunkIndex + 1;
+        try {
+            // Once the quota is exhausted beyond the queue limit, later chunks would fail the same way
+            if (rateLimitError) throw rateLimitError;
+
+            const { data } = await client.request({
+                endpoint: 'batch',
+                method: 'post',
+                url: `${config.ipApi.baseUrl}/batch`,
+                params: { fields },
+                data: chunk
+            });
+
+            chunk.forEach((ip, position) => {
+                resultsByIp.set(ip, data[position]);
+                if (isSuccess(data[position])) {
+                    client.cache.set(cacheKeyFor(ip, fields), data[position]);
+                }
+            });
+        } catch (error) {
+            if (error instanceof UpstreamRateLimitError) rateLimitError = error;
+            console.error(`ip-api batch chunk ${chunkNumber}/${chunks.length} failed:`, error.message);
+            failedChunks.push({ chunk: chunkNumber, size: chunk.length, error: error.message });
+            for (const ip of chunk) {
+                resultsByIp.set(ip, { status: 'fail', message: `Batch chunk ${chunkNumber} failed: ${error.message}`, query: ip, chunk: chunkNumber });
+            }
+        }
+    }
+
+    // Every chunk failed: surface the error instead of an array of failures
+    if (chunks.length > 0 && failedChunks.length === chunks.length && resultsByIp.size === pending.length) {
+        throw rateLimitError || new Error(failedChunks[0].error);
+    }
+
+    return {
+        data: ips.map(ip => resultsByIp.get(ip)),
+        meta: {
+            ...client.buildMeta('batch', pending.length === 0),
+            cacheHits: resultsByIp.size - pending.length,
+            upstreamLookups: pending.length,
+            duplicates: ips.length - resultsByIp.size,
+            chunks: chunks.length,
+            failedChunks
+        }
+    };
+}
+
+module.exports = {
+    BATCH_CHUNK_SIZE,
+    lookupIp,
+    lookupBatch
+};
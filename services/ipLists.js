@@ -0,0 +1,163 @@
+// ============================================================================
+// IP LISTS (watchlists / allowlists of our own environment)
+// ============================================================================
+//
+// Persisted CIDR entries grouped into named lists ("egress", "partners",
+// "scanners", ...) with tags, a note and an optional expiry. Lookups go through
+// a prefix tree rebuilt whenever the entries change; expired entries never match
+// and are dropped on the next write.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { parseCidr, formatCidr } = require('../utils/ipAddress');
+const { createPrefixTree } = require('../utils/prefixTree');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+/**
+ * Raised for list operations the caller can fix (unknown entry id).
+ * "status" is the HTTP status the routes answer with.
+ */
+class IpListError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'IpListError';
+        this.status = status;
+    }
+}
+
+const store = createJsonFileStore(config.ipLists.path, { entries: [] });
+const state = store.load();
+let tree = createPrefixTree();
+
+/**
+ * Returns true when an entry's expiry has passed
+ */
+function isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expiresAt) && Date.parse(entry.expiresAt) <= now;
+}
+
+/**
+ * Rebuilds the lookup tree from the stored entries
+ */
+function rebuildTree() {
+    tree = createPrefixTree();
+    for (const entry of state.entries) tree.insert(entry.cidr, entry);
+}
+
+/**
+ * Drops expired entries, persists the store and refreshes the lookup tree
+ */
+function persist() {
+    state.entries = state.entries.filter(entry => !isExpired(entry));
+    store.save(state);
+    rebuildTree();
+}
+
+rebuildTree();
+
+/**
+ * Normalizes a submitted entry: canonical CIDR, default list and tags, and an
+ * absolute expiry computed from "ttlDays" when "expiresAt" is not given
+ */
+function normalizeEntry({ cidr, list, tags, note, expiresAt, ttlDays }) {
+    const parsed = parseCidr(cidr);
+    return {
+        cidr: formatCidr(parsed.network, parsed.prefixLength, parsed.version),
+        list: list || 'watchlist',
+        tags: [...new Set(tags || [])],
+        note: note || '',
+        expiresAt: expiresAt
+            ? new Date(expiresAt).toISOString()
+            : ttlDays ? new Date(Date.now() + ttlDays * 86400000).toISOString() : null
+    };
+}
+
+/**
+ * Lists entries, optionally filtered by list name and tag. Expired entries are
+ * left out unless "includeExpired" is set.
+ */
+function listEntries({ list, tag, includeExpired = false } = {}) {
+    return structuredClone(state.entries.filter(entry => (includeExpired || !isExpired(entry))
+        && (!list || entry.list === list)
+        && (!tag || entry.tags.includes(tag))));
+}
+
+/**
+ * Returns one entry (throws 404 for an unknown id)
+ */
+function getEntry(id) {
+    const entry = state.entries.find(candidate => candidate.id === id);
+    if (!entry) throw new IpListError(`List entry "${id}" not found.`, 404);
+    return structuredClone(entry);
+}
+
+/**
+ * Adds entries and returns the stored ones with their ids
+ */
+function addEntries(definitions) {
+    const now = new Date().toISOString();
+    const created = definitions.map(definition => ({
+        id: crypto.randomUUID(),
+        ...normalizeEntry(definition),
+        createdAt: now,
+        updatedAt: now
+    }));
+    state.entries.push(...created);
+    persist();
+    // Entries submitted already expired are dropped by persist()
+    return structuredClone(created.filter(entry => !isExpired(entry)));
+}
+
+/**
+ * Replaces an entry's content, keeping its id and creation time
+ */
+function updateEntry(id, definition) {
+    const index = state.entries.findIndex(candidate => candidate.id === id);
+    if (index === -1) throw new IpListError(`List entry "${id}" not found.`, 404);
+
+    const { createdAt } = state.entries[index];
+    state.entries[index] = { id, ...normalizeEntry(definition), createdAt, updatedAt: new Date().toISOString() };
+    const updated = structuredClone(state.entries[index]);
+    persist();
+    return updated;
+}
+
+/**
+ * Deletes an entry (throws 404 for an unknown id)
+ */
+function deleteEntry(id) {
+    const index = state.entries.findIndex(candidate => candidate.id === id);
+    if (index === -1) throw new IpListError(`List entry "${id}" not found.`, 404);
+    state.entries.splice(index, 1);
+    persist();
+}
+
+/**
+ * Returns the unexpired entries containing an IP, most specific first, in the
+ * compact form used to annotate lookup responses
+ */
+function matchIp(ip) {
+    const now = Date.now();
+    return tree.lookup(ip)
+        .filter(entry => !isExpired(entry, now))
+        .map(({ id, list, cidr, tags, note, expiresAt }) => ({ id, list, cidr, tags, note, expiresAt }));
+}
+
+/**
+ * Adds "listMatches" to a response object when its IP matches list entries
+ */
+function annotate(target, ip) {
+    const matches = ip ? matchIp(ip) : [];
+    return matches.length > 0 ? { ...target, listMatches: matches } : target;
+}
+
+module.exports = {
+    IpListError,
+    listEntries,
+    getEntry,
+    addEntries,
+    updateEntry,
+    deleteEntry,
+    matchIp,
+    annotate
+};
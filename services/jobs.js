@@ -0,0 +1,231 @@
+// ============================================================================
+// BACKGROUND JOBS (long batch lookups)
+// ============================================================================
+//
+// A job works through its items chunk by chunk so progress can be reported,
+// results are available while it runs (partial results), and a cancellation
+// takes effect at the next chunk boundary. Jobs live in memory and are dropped
+// once they have been finished for longer than the retention period. A job
+// started with an API key is only visible to that key and to admins.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { hasRole } = require('./apiKeys');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Raised for job operations the caller can fix (unknown id, job already finished).
+ * "status" is the HTTP status the routes answer with.
+ */
+class JobError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+const jobs = new Map();
+
+// Emits "update" with the job summary after every state change
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Public view of a job (everything but its results)
+ */
+function summarize(job) {
+    const { results, cancelRequested, summarizeResults, ...summary } = job;
+    return {
+        ...summary,
+        progress: job.total === 0 ? 1 : Number((job.processed / job.total).toFixed(4))
+    };
+}
+
+/**
+ * Applies changes to a job and notifies listeners
+ */
+function update(job, changes) {
+    Object.assign(job, changes);
+    events.emit('update', summarize(job));
+}
+
+/**
+ * Works through a job's items chunk by chunk
+ */
+async function run(job, items, chunkSize, processChunk) {
+    update(job, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+        for (let offset = 0; offset < items.length; offset += chunkSize) {
+            if (job.cancelRequested) break;
+            const chunk = items.slice(offset, offset + chunkSize);
+            const chunkResults = await processChunk(chunk);
+            job.results.push(...chunkResults);
+            update(job, { processed: job.processed + chunk.length });
+        }
+        finish(job, job.cancelRequested ? 'cancelled' : 'completed');
+    } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        finish(job, 'failed', error.message);
+    }
+}
+
+/**
+ * Marks a job finished and schedules it for removal after the retention period
+ */
+function finish(job, status, error = null) {
+    const finishedAt = Date.now();
+    update(job, {
+        status,
+        error,
+        finishedAt: new Date(finishedAt).toISOString(),
+        expiresAt: new Date(finishedAt + config.jobs.retentionMs).toISOString()
+    });
+}
+
+/**
+ * Starts a job over "items". "processChunk(chunk)" resolves to one result per item;
+ * a rejection fails the job and keeps the results gathered so far. When given,
+ * "summarizeResults(results)" builds the "summary" returned with the results.
+ * "client" is the authenticated API key, if any; it becomes the job's owner.
+ * Returns the job summary (the job keeps running in the background).
+ */
+function startJob(type, items, { chunkSize = 50, params = {}, summarizeResults = null, client = null } = {}, processChunk) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        owner: client ? client.id : null,
+        params,
+        total: items.length,
+        processed: 0,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: null,
+        cancelRequested: false,
+        summarizeResults,
+        results: []
+    };
+    jobs.set(job.id, job);
+
+    setImmediate(() => run(job, items, Math.max(1, chunkSize), processChunk));
+    return summarize(job);
+}
+
+/**
+ * Returns true when a client may see a job: without authentication, as an admin
+ * or as the key that started it
+ */
+function canAccess(job, client) {
+    return !client || hasRole(client.role, 'admin') || job.owner === client.id;
+}
+
+/**
+ * Returns the stored job, or throws a 404 JobError (also for jobs of other API keys)
+ */
+function jobFor(id, client) {
+    const job = jobs.get(id);
+    if (!job || !canAccess(job, client)) throw new JobError(`Job "${id}" not found.`, 404);
+    return job;
+}
+
+/**
+ * Lists the job summaries a client may see, newest first, optionally filtered by type and status
+ */
+function listJobs({ type, status } = {}, client = null) {
+    return [...jobs.values()]
+        .filter(job => canAccess(job, client))
+        .filter(job => (!type || job.type === type) && (!status || job.status === status))
+        .map(summarize)
+        .reverse();
+}
+
+/**
+ * Summary of one job
+ */
+function getJob(id, client = null) {
+    return summarize(jobFor(id, client));
+}
+
+/**
+ * Results gathered so far. "partial" is true until the job has completed.
+ * Jobs started with a summarizer also return the summary of all results so far.
+ */
+function getJobResults(id, { offset = 0, limit } = {}, client = null) {
+    const job = jobFor(id, client);
+    const end = limit === undefined ? undefined : offset + limit;
+    return {
+        ...summarize(job),
+        partial: job.status !== 'completed',
+        ...(job.summarizeResults ? { summary: job.summarizeResults(job.results) } : {}),
+        offset,
+        results: job.results.slice(offset, end)
+    };
+}
+
+/**
+ * Requests cancellation; the job stops before its next chunk (throws 409 if already finished)
+ */
+function cancelJob(id, client = null) {
+    const job = jobFor(id, client);
+    if (FINISHED_STATUSES.includes(job.status)) {
+        throw new JobError(`Job "${id}" has already finished (${job.status}).`, 409);
+    }
+    job.cancelRequested = true;
+    return summarize(job);
+}
+
+/**
+ * Removes a job, cancelling it first when it is still running
+ */
+function deleteJob(id, client = null) {
+    const job = jobFor(id, client);
+    job.cancelRequested = true;
+    jobs.delete(id);
+}
+
+/**
+ * Subscribes to updates of one job. Returns the unsubscribe function.
+ */
+function onJobUpdate(id, listener) {
+    jobFor(id);
+    const handler = (summary) => {
+        if (summary.id === id) listener(summary);
+    };
+    events.on('update', handler);
+    return () => events.off('update', handler);
+}
+
+/**
+ * Returns true when a job status is final
+ */
+function isFinished(status) {
+    return FINISHED_STATUSES.includes(status);
+}
+
+// Drop finished jobs whose retention has passed
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.expiresAt && Date.parse(job.expiresAt) <= now) jobs.delete(id);
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    JOB_STATUSES,
+    JobError,
+    startJob,
+    listJobs,
+    getJob,
+    getJobResults,
+    cancelJob,
+    deleteJob,
+    onJobUpdate,
+    isFinished
+};
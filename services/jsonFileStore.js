@@ -0,0 +1,38 @@
+// ============================================================================
+// JSON FILE STORE
+// ============================================================================
+//
+// Small persisted state (profiles, lists) kept as one JSON document per file.
+// Writes go to a temporary file that is renamed over the original, so a crash
+// mid-write never leaves a truncated file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a store for one JSON file. "initial" is returned by load() while the
+ * file does not exist yet.
+ */
+function createJsonFileStore(filePath, initial) {
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return structuredClone(initial);
+            throw new Error(`Cannot read ${filePath}: ${error.message}`);
+        }
+    }
+
+    function save(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const temporaryPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(temporaryPath, `${JSON.stringify(data, null, 2)}\n`);
+        fs.renameSync(temporaryPath, filePath);
+    }
+
+    return { path: filePath, load, save };
+}
+
+module.exports = {
+    createJsonFileStore
+};
@@ -0,0 +1,182 @@
+// ============================================================================
+// OFFLINE GEOLOCATION BACKENDS (MMDB / CSV)
+// ============================================================================
+//
+// Both backends answer with the same field names ip-api returns, so callers
+// cannot tell which provider produced a result.
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseIp, formatIp } = require('../utils/ipAddress');
+const { parseCsvLine } = require('../utils/csv');
+const { openMmdb } = require('../utils/mmdbReader');
+
+/**
+ * Builds the ip-api-shaped "fail" result for an address a local database does not cover
+ */
+function notFound(ip) {
+    return { status: 'fail', message: 'not found in local database', query: ip };
+}
+
+/**
+ * Picks a localized name from an MMDB "names" map
+ */
+function englishName(entry) {
+    return entry?.names?.en ?? null;
+}
+
+/**
+ * Creates the MMDB provider. cityPath is a City/Country database (GeoLite2, DB-IP
+ * or IP2Location .mmdb); asnPath is an optional ASN database for isp/org/as.
+ */
+function createMmdbProvider({ cityPath, asnPath }) {
+    const city = openMmdb(cityPath);
+    const asn = asnPath ? openMmdb(asnPath) : null;
+    console.log(`Loaded MMDB geolocation database ${city.metadata.database_type} (${cityPath})`);
+
+    function lookup(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) return { status: 'fail', message: 'invalid query', query: ip };
+        const query = formatIp(parsed.value, parsed.version);
+
+        const record = city.lookup(query);
+        const asnRecord = asn ? asn.lookup(query) : null;
+        if (!record && !asnRecord) return notFound(query);
+
+        const subdivision = record?.subdivisions?.[0];
+        const asNumber = asnRecord?.autonomous_system_number;
+        const asOrg = asnRecord?.autonomous_system_organization ?? null;
+
+        return {
+            status: 'success',
+            country: englishName(record?.country),
+            countryCode: record?.country?.iso_code ?? null,
+            region: subdivision?.iso_code ?? null,
+            regionName: englishName(subdivision),
+            city: englishName(record?.city),
+            zip: record?.postal?.code ?? null,
+            lat: record?.location?.latitude ?? null,
+            lon: record?.location?.longitude ?? null,
+            timezone: record?.location?.time_zone ?? null,
+            isp: asOrg,
+            org: asOrg,
+            as: asNumber ? `AS${asNumber} ${asOrg || ''}`.trim() : null,
+            query
+        };
+    }
+
+    return { name: 'mmdb', lookup };
+}
+
+// Column layouts of the supported CSV exports (after the start/end address columns)
+const CSV_LAYOUTS = {
+    // IP2Location DB1-DB11: ip_from, ip_to, country_code, country_name, region, city, lat, lon, zip, time_zone
+    ip2location: ['countryCode', 'country', 'regionName', 'city', 'lat', 'lon', 'zip', 'timezone'],
+    // DB-IP city lite: ip_start, ip_end, continent, country, stateprov, city, latitude, longitude
+    dbip: ['continent', 'countryCode', 'regionName', 'city', 'lat', 'lon']
+};
+
+/**
+ * Parses a range bound that may be a decimal integer (IP2Location) or an address (DB-IP)
+ */
+function parseBound(text) {
+    if (/^\d+$/.test(text)) return BigInt(text);
+    const parsed = parseIp(text);
+    return parsed ? parsed.value : null;
+}
+
+/**
+ * Creates the CSV provider. Ranges are loaded once in the background and
+ * searched with a binary search; lookups before loading finishes fall through
+ * to the next provider.
+ */
+function createCsvProvider({ path: csvPath, format = 'ip2location' }) {
+    const columns = CSV_LAYOUTS[format];
+    if (!columns) {
+        throw new Error(`Unknown geolocation CSV format "${format}" (expected ${Object.keys(CSV_LAYOUTS).join(', ')})`);
+    }
+
+    // Separate tables per family: IP2Location's decimal IPv4 and IPv6 values overlap
+    const ranges = { 4: [], 6: [] };
+    let ready = false;
+
+    const loading = (async () => {
+        const lines = readline.createInterface({ input: fs.createReadStream(csvPath), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            const [startText, endText, ...values] = parseCsvLine(line);
+            const start = parseBound(startText.trim());
+            const end = parseBound(endText.trim());
+            if (start === null || end === null) continue; // header or malformed row
+
+            const version = startText.includes(':') || end > 0xffffffffn ? 6 : 4;
+            const record = {};
+            columns.forEach((column, index) => {
+                const value = values[index]?.trim();
+                record[column] = value && value !== '-' ? value : null;
+            });
+            ranges[version].push({ start, end, record });
+        }
+        for (const table of Object.values(ranges)) {
+            table.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+        }
+        ready = true;
+        console.log(`Loaded ${ranges[4].length + ranges[6].length} geolocation ranges from ${csvPath}`);
+    })().catch(error => {
+        console.error(`Failed to load geolocation CSV ${csvPath}:`, error.message);
+    });
+
+    function findRange(version, value) {
+        const table = ranges[version];
+        let low = 0;
+        let high = table.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (table[middle].start > value) {
+                high = middle - 1;
+            } else if (table[middle].end < value) {
+                low = middle + 1;
+            } else {
+                return table[middle];
+            }
+        }
+        return null;
+    }
+
+    function lookup(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) return { status: 'fail', message: 'invalid query', query: ip };
+        const query = formatIp(parsed.value, parsed.version);
+        if (!ready) return { status: 'fail', message: 'local database still loading', query };
+
+        // IP2Location stores IPv4 inside its IPv6 file as ::ffff:a.b.c.d
+        let range = findRange(parsed.version, parsed.value);
+        if (!range && parsed.version === 4) range = findRange(6, parsed.value | 0xffff00000000n);
+        if (!range) return notFound(query);
+
+        const { record } = range;
+        return {
+            status: 'success',
+            country: record.country ?? null,
+            countryCode: record.countryCode,
+            region: null,
+            regionName: record.regionName,
+            city: record.city,
+            zip: record.zip ?? null,
+            lat: record.lat !== null ? Number(record.lat) : null,
+            lon: record.lon !== null ? Number(record.lon) : null,
+            timezone: record.timezone ?? null,
+            isp: null,
+            org: null,
+            as: null,
+            query
+        };
+    }
+
+    return { name: 'csv', lookup, loading };
+}
+
+module.exports = {
+    createMmdbProvider,
+    createCsvProvider
+};
@@ -0,0 +1,207 @@
+// ============================================================================
+// LOOKUP HISTORY (persisted geolocation and reputation results)
+// ============================================================================
+//
+// Every successful ip-info / AbuseIPDB lookup is kept with its time, requester
+// and normalized result, so a case can be written up days later without
+// repeating the lookups. Entries are appended to a JSON Lines file; entries older
+// than the retention period or beyond the entry cap are dropped by an hourly
+// compaction (or an early one when the file grows well past the cap).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { parseIp, parseCidr, prefixMask } = require('../utils/ipAddress');
+const { normalizeGeolocation, parseAsnEntry } = require('./enrichment');
+
+const SOURCES = ['ip-info', 'abuseipdb'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often expired entries are dropped from the file
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Share of the entry cap the file may grow past before it is compacted early
+const COMPACT_SLACK = 0.1;
+
+/**
+ * Reads the history file, skipping lines that are not valid JSON (e.g. a line
+ * cut short by a crash mid-append)
+ */
+function load() {
+    let text;
+    try {
+        text = fs.readFileSync(config.history.path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Cannot read ${config.history.path}: ${error.message}`);
+    }
+    return text.split('\n').filter(Boolean).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            return [];
+        }
+    });
+}
+
+let entries = load();
+
+// True while a compaction is queued or running
+let compacting = false;
+// Lines appended while a compaction writes the new file, added to it before the swap
+let pendingLines = null;
+let compaction = Promise.resolve();
+
+/**
+ * Entries within the retention period and the entry cap
+ */
+function retained() {
+    const cutoff = new Date(Date.now() - config.history.retentionDays * DAY_MS).toISOString();
+    return entries.filter(entry => entry.timestamp >= cutoff).slice(-config.history.maxEntries);
+}
+
+/**
+ * Drops expired and surplus entries and rewrites the file without them
+ * (temporary file + rename, as in the JSON file store). The file is written
+ * asynchronously; lookups recorded meanwhile are appended to the old file and
+ * copied into the new one right before it replaces the old one.
+ */
+function compact() {
+    compacting = true;
+    compaction = compaction.catch(() => {}).then(async () => {
+        entries = retained();
+        pendingLines = [];
+        const temporaryPath = `${config.history.path}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(config.history.path), { recursive: true });
+        await fs.promises.writeFile(temporaryPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        fs.appendFileSync(temporaryPath, pendingLines.join(''));
+        fs.renameSync(temporaryPath, config.history.path);
+    }).finally(() => {
+        pendingLines = null;
+        compacting = false;
+    });
+    return compaction;
+}
+
+/**
+ * Compacts the file in the background when it holds entries to drop
+ */
+function compactIfNeeded() {
+    if (compacting || retained().length === entries.length) return;
+    compact().catch(error => console.error('Compacting the lookup history failed:', error.message));
+}
+
+compactIfNeeded();
+setInterval(compactIfNeeded, COMPACT_INTERVAL_MS).unref();
+
+/**
+ * Stores normalized results: [{ ip, result }] from one source. Entries are only
+ * appended here; the file is compacted once it holds well over the entry cap,
+ * and hourly for expired entries.
+ */
+function append(source, results, client) {
+    if (!config.history.enabled || results.length === 0) return;
+
+    const timestamp = new Date().toISOString();
+    const requester = client ? { id: client.id, name: client.name } : null;
+    const created = results.map(({ ip, result }) => ({ id: crypto.randomUUID(), timestamp, source, requester, ip, result }));
+    const lines = created.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    entries.push(...created);
+
+    fs.mkdirSync(path.dirname(config.history.path), { recursive: true });
+    fs.appendFileSync(config.history.path, lines);
+    if (pendingLines) pendingLines.push(lines);
+
+    if (!compacting && entries.length > config.history.maxEntries * (1 + COMPACT_SLACK)) {
+        compact().catch(error => console.error('Compacting the lookup history failed:', error.message));
+    }
+}
+
+/**
+ * Records ip-api shaped geolocation results (entries that did not succeed are ignored).
+ * "client" is the authenticated API key, if any.
+ */
+function recordGeolocation(results, client) {
+    append('ip-info', results
+        .filter(data => data && data.status === 'success' && data.query)
+        .map(data => ({ ip: data.query, result: normalizeGeolocation(data) })), client);
+}
+
+/**
+ * Records AbuseIPDB reputations in the compact normalizeCheckResult() form
+ */
+function recordReputation(reputations, client) {
+    append('abuseipdb', reputations
+        .filter(Boolean)
+        .map(({ ip, ...result }) => ({ ip, result })), client);
+}
+
+/**
+ * Builds a predicate for an IP or CIDR filter
+ */
+function addressMatcher(filter) {
+    const network = parseCidr(filter);
+    const mask = prefixMask(network.prefixLength, network.version);
+    return (ip) => {
+        const parsed = parseIp(ip);
+        return Boolean(parsed) && parsed.version === network.version && (parsed.value & mask) === network.network;
+    };
+}
+
+/**
+ * Returns the stored entries matching the filters, newest first:
+ *
+ *   ip (address or CIDR), country (code or name), asn (15169 or "AS15169"),
+ *   minScore / maxScore (AbuseIPDB confidence; entries without a score never
+ *   match), from / to (ISO timestamps, inclusive), source, requester (key id or name)
+ *
+ * Returns { total, entries } with "entries" limited by offset/limit.
+ */
+function queryHistory(filters = {}, { offset = 0, limit } = {}) {
+    const { ip, country, asn, minScore, maxScore, from, to, source, requester } = filters;
+    const matchesAddress = ip ? addressMatcher(ip) : null;
+    const countryFilter = country ? country.toLowerCase() : null;
+    const asnFilter = asn !== undefined ? parseAsnEntry(asn) : null;
+    const fromIso = from ? new Date(from).toISOString() : null;
+    const toIso = to ? new Date(to).toISOString() : null;
+
+    const matching = retained().filter(entry => {
+        const { result } = entry;
+        if (source && entry.source !== source) return false;
+        if (fromIso && entry.timestamp < fromIso) return false;
+        if (toIso && entry.timestamp > toIso) return false;
+        if (requester && (!entry.requester || (entry.requester.id !== requester && entry.requester.name !== requester))) return false;
+        if (matchesAddress && !matchesAddress(entry.ip)) return false;
+        if (countryFilter && ![result.countryCode, result.country].some(value => value && value.toLowerCase() === countryFilter)) return false;
+        if (asn !== undefined && result.asn !== asnFilter) return false;
+        if (minScore !== undefined && !(result.score >= minScore)) return false;
+        if (maxScore !== undefined && !(result.score <= maxScore)) return false;
+        return true;
+    }).reverse();
+
+    const end = limit === undefined ? undefined : offset + limit;
+    return { total: matching.length, entries: structuredClone(matching.slice(offset, end)) };
+}
+
+/**
+ * Deletes entries older than "before" (all entries when omitted). Resolves to the
+ * number deleted once the file has been rewritten.
+ */
+async function purgeHistory(before) {
+    const current = retained();
+    const beforeIso = before ? new Date(before).toISOString() : null;
+    entries = beforeIso ? current.filter(entry => entry.timestamp >= beforeIso) : [];
+    const deleted = current.length - entries.length;
+    await compact();
+    return deleted;
+}
+
+module.exports = {
+    SOURCES,
+    recordGeolocation,
+    recordReputation,
+    queryHistory,
+    purgeHistory
+};
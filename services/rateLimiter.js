@@ -0,0 +1,83 @@
+// ============================================================================
+// RATE LIMITER (driven by upstream rate-limit headers)
+// ============================================================================
+
+/**
+ * Raised when a request would have to wait longer than allowed for the upstream quota to reset
+ */
+class UpstreamRateLimitError extends Error {
+    constructor(provider, retryAfterMs) {
+        super(`${provider} rate limit reached; retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+        this.name = 'UpstreamRateLimitError';
+        this.provider = provider;
+        this.retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a limiter that tracks the quota reported by the provider.
+ * acquire() resolves once a request may be sent: when the window is exhausted
+ * callers are queued until it resets instead of failing, unless the wait
+ * exceeds maxWaitMs.
+ */
+function createRateLimiter({ name, maxWaitMs }) {
+    let limit = null;
+    let remaining = null;
+    let resetAt = null;
+    let queued = 0;
+    let queue = Promise.resolve();
+
+    async function waitForSlot() {
+        if (remaining !== null && remaining <= 0 && resetAt) {
+            const waitMs = resetAt - Date.now();
+            if (waitMs > maxWaitMs) {
+                throw new UpstreamRateLimitError(name, waitMs);
+            }
+            if (waitMs > 0) {
+                console.log(`${name}: rate limit reached, delaying request ${Math.ceil(waitMs / 1000)}s`);
+                await sleep(waitMs);
+            }
+            // The provider tells us the new quota with the next response
+            remaining = null;
+            resetAt = null;
+        }
+        if (remaining !== null) remaining--;
+    }
+
+    function acquire() {
+        queued++;
+        const slot = queue.then(waitForSlot).finally(() => { queued--; });
+        queue = slot.catch(() => {});
+        return slot;
+    }
+
+    /**
+     * Records the quota reported by the provider ({ limit, remaining, resetAt } - any may be missing)
+     */
+    function update(state) {
+        if (!state) return;
+        if (Number.isFinite(state.limit)) limit = state.limit;
+        if (Number.isFinite(state.remaining)) remaining = state.remaining;
+        if (Number.isFinite(state.resetAt)) resetAt = state.resetAt;
+    }
+
+    function status() {
+        return {
+            name,
+            limit,
+            remaining,
+            resetsAt: resetAt ? new Date(resetAt).toISOString() : null,
+            queued
+        };
+    }
+
+    return { acquire, update, status };
+}
+
+module.exports = {
+    UpstreamRateLimitError,
+    createRateLimiter,
+    sleep
+};
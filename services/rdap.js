@@ -0,0 +1,191 @@
+// ============================================================================
+// RDAP CLIENT (IP network registration data)
+// ============================================================================
+//
+// The registry to ask is chosen from the IANA bootstrap files (ipv4.json and
+// ipv6.json), which map address blocks to the RDAP services of the regional
+// registries. Setting RDAP_BASE_URL skips the bootstrap and sends every query
+// to one server (an RDAP redirector or a local stub). Responses are reduced to
+// the network name, CIDRs, registrant, abuse contact and registration dates.
+
+const axios = require('axios');
+const config = require('../config');
+const { createUpstreamClient } = require('./upstreamClient');
+const { UpstreamRateLimitError } = require('./rateLimiter');
+const { createPrefixTree } = require('../utils/prefixTree');
+const { rangeToCidrs } = require('../utils/subnets');
+const { parseIp, normalizeIp } = require('../utils/ipAddress');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+const client = createUpstreamClient({
+    name: 'rdap',
+    cacheTtlMs: config.rdap.cacheTtlMs,
+    // Registries do not publish their limits in headers; a 429 still parks the queue
+    parseRateLimitHeaders: () => ({})
+});
+
+// { tree, loadedAt } per IP version, loaded on first use
+const bootstraps = new Map();
+
+/**
+ * Loads (or reuses) the bootstrap registry for an IP version as a prefix tree
+ * mapping address blocks to RDAP base URLs
+ */
+async function bootstrapFor(version) {
+    const loaded = bootstraps.get(version);
+    if (loaded && Date.now() - loaded.loadedAt < config.rdap.bootstrapTtlMs) return loaded.tree;
+
+    const url = `${config.rdap.bootstrapUrl}/ipv${version}.json`;
+    const { data } = await axios.get(url, { timeout: config.rdap.timeoutMs });
+    const tree = createPrefixTree();
+    for (const [blocks, urls] of data.services || []) {
+        // Prefer the HTTPS endpoint when a registry lists several
+        const baseUrl = urls.find(candidate => candidate.startsWith('https:')) || urls[0];
+        for (const block of blocks) tree.insert(block, baseUrl.replace(/\/+$/, ''));
+    }
+    bootstraps.set(version, { tree, loadedAt: Date.now() });
+    return tree;
+}
+
+/**
+ * Base URL of the RDAP service responsible for an IP, or null when no registry covers it
+ */
+async function serviceFor(ip) {
+    if (config.rdap.baseUrl) return config.rdap.baseUrl;
+    const tree = await bootstrapFor(parseIp(ip).version);
+    return tree.lookup(ip)[0] || null;
+}
+
+/**
+ * Reads the first value of a vCard property ("fn", "email", ...) from a jCard array
+ */
+function vcardValue(entity, property) {
+    const entry = (entity.vcardArray?.[1] || []).find(item => item[0] === property);
+    if (!entry) return null;
+    const value = entry[3];
+    return Array.isArray(value) ? value.filter(Boolean).join(' ') : value || null;
+}
+
+/**
+ * Flattens an entity tree (entities may nest further entities, e.g. an abuse
+ * contact under the registrant)
+ */
+function flattenEntities(entities = []) {
+    return entities.flatMap(entity => [entity, ...flattenEntities(entity.entities)]);
+}
+
+/**
+ * Date of the first event with the given action ("registration", "last changed")
+ */
+function eventDate(events = [], action) {
+    return events.find(event => event.eventAction === action)?.eventDate || null;
+}
+
+/**
+ * CIDRs of a network: from the cidr0 extension when present, else computed from its range
+ */
+function networkCidrs(data) {
+    if (Array.isArray(data.cidr0_cidrs) && data.cidr0_cidrs.length > 0) {
+        return data.cidr0_cidrs.map(entry => `${entry.v4prefix || entry.v6prefix}/${entry.length}`);
+    }
+    if (data.startAddress && data.endAddress) {
+        return rangeToCidrs(`${data.startAddress}-${data.endAddress}`) || [];
+    }
+    return [];
+}
+
+/**
+ * Reduces an RDAP ip network object to the fields needed to contact its owner
+ */
+function normalizeNetwork(data, source) {
+    const entities = flattenEntities(data.entities);
+    const withRole = (role) => entities.filter(entity => (entity.roles || []).includes(role));
+    const registrant = withRole('registrant')[0] || null;
+    const abuseEmails = [...new Set(withRole('abuse')
+        .flatMap(entity => (entity.vcardArray?.[1] || []).filter(item => item[0] === 'email').map(item => item[3]))
+        .filter(Boolean))];
+    const cidrs = networkCidrs(data);
+
+    return {
+        handle: data.handle || null,
+        name: data.name || null,
+        cidr: cidrs[0] || null,
+        cidrs,
+        range: data.startAddress ? { start: data.startAddress, end: data.endAddress } : null,
+        type: data.type || null,
+        country: data.country || null,
+        parentHandle: data.parentHandle || null,
+        registrant: registrant
+            ? { handle: registrant.handle || null, name: vcardValue(registrant, 'fn'), org: vcardValue(registrant, 'org') }
+            : null,
+        abuseEmail: abuseEmails[0] || null,
+        abuseEmails,
+        registeredAt: eventDate(data.events, 'registration'),
+        updatedAt: eventDate(data.events, 'last changed'),
+        registry: data.port43 || null,
+        source
+    };
+}
+
+/**
+ * Looks up the registration of the network containing an IP. Returns
+ * { ip, status: 'success' | 'not-found' | 'fail', network?, error?, meta? }.
+ * Upstream rate-limit errors are thrown so routes can answer 429.
+ */
+async function lookupNetwork(ip) {
+    const address = normalizeIp(ip) || ip;
+    let baseUrl;
+    try {
+        baseUrl = await serviceFor(address);
+    } catch (error) {
+        console.error('RDAP bootstrap failed:', error.message);
+        return { ip: address, status: 'fail', error: `RDAP bootstrap failed: ${error.message}` };
+    }
+    if (!baseUrl) {
+        return { ip: address, status: 'not-found', error: 'No RDAP service covers this address' };
+    }
+
+    const url = `${baseUrl}/ip/${encodeURIComponent(address)}`;
+    try {
+        const { data, meta } = await client.request({
+            endpoint: new URL(url).host,
+            cacheKey: address,
+            method: 'get',
+            url,
+            timeout: config.rdap.timeoutMs,
+            headers: { Accept: 'application/rdap+json' }
+        });
+        return { ip: address, status: 'success', network: normalizeNetwork(data, url), meta };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return { ip: address, status: 'not-found', error: 'The registry has no network for this address' };
+        }
+        if (error instanceof UpstreamRateLimitError) throw error;
+        console.error(`RDAP lookup failed for ${address}:`, error.message);
+        return { ip: address, status: 'fail', error: error.message };
+    }
+}
+
+/**
+ * Looks up a list of IPs (each distinct IP once) with bounded concurrency, in input order.
+ * A registry rate limit fails only the IPs it affects.
+ */
+async function lookupNetworks(ips) {
+    const uniqueIps = [...new Set(ips)];
+    const results = await mapWithConcurrency(uniqueIps, config.rdap.maxConcurrency, async (ip) => {
+        try {
+            return await lookupNetwork(ip);
+        } catch (error) {
+            if (!(error instanceof UpstreamRateLimitError)) throw error;
+            return { ip, status: 'fail', error: error.message };
+        }
+    });
+    const byIp = new Map(uniqueIps.map((ip, index) => [ip, results[index]]));
+    return ips.map(ip => byIp.get(ip));
+}
+
+module.exports = {
+    normalizeNetwork,
+    lookupNetwork,
+    lookupNetworks
+};
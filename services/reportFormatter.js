@@ -0,0 +1,325 @@
+// ============================================================================
+// INCIDENT REPORT FORMATTER
+// ============================================================================
+
+const config = require('../config');
+const formatterProfiles = require('./formatterProfiles');
+const { parseReport } = require('../utils/reportParser');
+const { extractObservables, defangText } = require('../utils/observables');
+const { renderReport } = require('../utils/reportFormats');
+const { parseTimestamp, toIsoString, formatTimestamp, formatDuration } = require('../utils/dateTime');
+
+// Built-in fields holding timestamps; other fields opt in with type "datetime"
+const TIMESTAMP_FIELDS = ['dateOfIssue', 'startTime', 'endTime'];
+
+// Clock skew tolerated before a timestamp counts as being in the future
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Extracts incident information section
+ */
+function extractIncidentInformation(text) {
+    const patterns = [
+        /\*\*Incident Information\*\*\s*([\s\S]*?)\s*(?:\*\*Event Time\*\*|\*\*Action & Recommendation\*\*|$)/,
+        /Incident Information\s*([\s\S]*?)\s*(?:Event Time|Action & Recommendation|$)/
+    ];
+    
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match && match[1].trim()) {
+            let content = match[1].replace(/\*\*Incident Detail[^*]*\*\*/, "").trim();
+            content = content.replace(/Incident Detail:/, "").trim();
+            if (content) {
+                return content;
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Extracts action and recommendation section
+ */
+function extractActionRecommendation(text) {
+    const patterns = [
+        /\*\*Action & Recommendation\*\*\s*([\s\S]*)/,
+        /Action & Recommendation\s*([\s\S]*)/
+    ];
+    
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (match && match[1].trim()) {
+            return match[1].trim().replace(/\n\s*\n/g, "\n");
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Applies filtering to extracted fields based on configuration
+ */
+function applyFieldFilters(extractedFields, filters, fieldConfig) {
+    const { enabled, disabled, maxFields, includeOnly } = filters;
+    
+    let filteredFields = { ...extractedFields };
+    
+    // Apply enabled filter (whitelist)
+    if (enabled && Array.isArray(enabled)) {
+        const enabledSet = new Set(enabled);
+        filteredFields = Object.fromEntries(
+            Object.entries(filteredFields).filter(([key]) => enabledSet.has(key))
+        );
+    }
+    
+    // Apply disabled filter (blacklist)
+    if (disabled && Array.isArray(disabled)) {
+        const disabledSet = new Set(disabled);
+        filteredFields = Object.fromEntries(
+            Object.entries(filteredFields).filter(([key]) => !disabledSet.has(key))
+        );
+    }
+    
+    // Apply includeOnly filter (keyword matching)
+    if (includeOnly && Array.isArray(includeOnly)) {
+        filteredFields = Object.fromEntries(
+            Object.entries(filteredFields).filter(([key, field]) => 
+                includeOnly.some(keyword => 
+                    field.label.toLowerCase().includes(keyword.toLowerCase()) ||
+                    field.value.toLowerCase().includes(keyword.toLowerCase())
+                )
+            )
+        );
+    }
+    
+    // Apply maxFields filter (priority-based)
+    if (maxFields && typeof maxFields === 'number') {
+        const sortedEntries = Object.entries(filteredFields)
+            .map(([key, field]) => ({
+                key,
+                field,
+                priority: fieldConfig[key]?.priority || 999
+            }))
+            .sort((a, b) => a.priority - b.priority)
+            .slice(0, maxFields);
+        
+        filteredFields = Object.fromEntries(
+            sortedEntries.map(({ key, field }) => [key, field])
+        );
+    }
+    
+    return filteredFields;
+}
+
+/**
+ * Drops trailing graphs and "Additional detail" blocks, which only add noise to field parsing
+ */
+function reportBody(rawText) {
+    const cutoffMatch = rawText.match(/\n\s*(Graph|Additional detail)/i);
+    return cutoffMatch ? rawText.substring(0, cutoffMatch.index) : rawText;
+}
+
+/**
+ * Timestamp options for a report: server defaults, then the profile, then the request
+ */
+function timestampOptionsFor(profile, overrides) {
+    return { ...config.formatter.timestamps, ...profile.timestamps, ...overrides };
+}
+
+/**
+ * Parses timestamp fields in place: "value" becomes the display form, "iso" the
+ * ISO 8601 form in the output timezone and "raw" keeps the original text.
+ * Returns the incident timeline with its duration and any inconsistencies found.
+ */
+function normalizeTimestamps(extractedFields, fieldConfig, options) {
+    const { timezone, displayFormat } = options;
+    const warnings = [];
+    const instants = {};
+
+    for (const [fieldKey, field] of Object.entries(extractedFields)) {
+        const type = fieldConfig[fieldKey]?.type;
+        if (type !== 'datetime' && !(type === undefined && TIMESTAMP_FIELDS.includes(fieldKey))) continue;
+
+        const parsed = parseTimestamp(field.value, options);
+        if (!parsed) {
+            warnings.push({ field: fieldKey, code: 'unparseable', message: `${field.label} "${field.value}" is not a recognized date/time.` });
+            continue;
+        }
+
+        instants[fieldKey] = parsed.epochMs;
+        Object.assign(field, {
+            raw: field.value,
+            value: formatTimestamp(parsed.epochMs, timezone, displayFormat),
+            iso: toIsoString(parsed.epochMs, timezone),
+            ...(parsed.hasZone ? {} : { assumedTimezone: options.inputTimezone })
+        });
+
+        if (parsed.ambiguousZone) {
+            warnings.push({
+                field: fieldKey,
+                code: 'ambiguous-timezone',
+                message: `${field.label} uses "${parsed.ambiguousZone}", which names several timezones; it was read as ${options.inputTimezone}.`
+            });
+        }
+
+        if (parsed.epochMs > Date.now() + FUTURE_TOLERANCE_MS) {
+            warnings.push({ field: fieldKey, code: 'future-date', message: `${field.label} ${field.iso} is in the future.` });
+        }
+    }
+
+    const { startTime: start, endTime: end, dateOfIssue: issued } = instants;
+    if (start !== undefined && end !== undefined && end < start) {
+        warnings.push({ field: 'endTime', code: 'end-before-start', message: 'End Time is earlier than Start Time.' });
+    }
+    if (start !== undefined && issued !== undefined && issued < start) {
+        warnings.push({ field: 'dateOfIssue', code: 'issued-before-start', message: 'Date of Issue is earlier than Start Time.' });
+    }
+
+    const isoOrNull = (epochMs) => (epochMs === undefined ? null : toIsoString(epochMs, timezone));
+    return {
+        timezone,
+        dateOfIssue: isoOrNull(issued),
+        start: isoOrNull(start),
+        end: isoOrNull(end),
+        duration: start !== undefined && end !== undefined && end >= start
+            ? { seconds: Math.round((end - start) / 1000), ...formatDuration(end - start) }
+            : null,
+        warnings
+    };
+}
+
+/**
+ * Formats one raw incident report.
+ *
+ * Options: profile (name), customFields / sections (overrides on top of the profile),
+ * fieldFilters, defang, format, template, timestamps (timezone, inputTimezone,
+ * displayFormat, dateOrder; defaults come from the profile, then the server config).
+ * Throws a ProfileError for an unknown profile.
+ *
+ * Returns { formattedText, format, profile, layout, report?, unresolvedPlaceholders?,
+ * extractedFields, missingFields, timeline, observables, sectionsIncluded }.
+ */
+function formatReport(rawText, options = {}) {
+    const {
+        profile: profileName = formatterProfiles.DEFAULT_PROFILE_NAME,
+        customFields,
+        fieldFilters = {},
+        sections = {},
+        defang = false,
+        format = 'text',
+        template,
+        timestamps
+    } = options;
+
+    const textToParse = reportBody(rawText);
+
+    const profile = formatterProfiles.getProfile(profileName);
+    const fieldConfig = { ...profile.fieldConfig, ...customFields };
+    const sectionConfig = { ...profile.sectionConfig, ...sections };
+
+    // Extract general information fields
+    const parsed = parseReport(textToParse, fieldConfig);
+    let extractedFields = Object.fromEntries(Object.entries(parsed.fields).map(([fieldKey, match]) => [fieldKey, {
+        label: fieldConfig[fieldKey].outputLabel,
+        value: match.value,
+        strategy: match.strategy,
+        keyword: match.keyword,
+        confidence: match.confidence
+    }]));
+
+    const timeline = normalizeTimestamps(extractedFields, fieldConfig, timestampOptionsFor(profile, timestamps));
+
+    // Apply field filters
+    extractedFields = applyFieldFilters(extractedFields, fieldFilters, fieldConfig);
+
+    const reportSections = [];
+
+    // General information section, in the configured field order
+    if (Object.keys(extractedFields).length > 0 && sectionConfig.general?.enabled !== false) {
+        const { fieldOrder } = profile;
+        const orderedKeys = [
+            ...fieldOrder.filter(fieldKey => extractedFields[fieldKey]),
+            ...Object.keys(extractedFields).filter(fieldKey => !fieldOrder.includes(fieldKey))
+        ];
+        reportSections.push({
+            key: 'general',
+            label: sectionConfig.general?.label || 'Incident General Information',
+            fields: orderedKeys.map(fieldKey => ({ key: fieldKey, label: extractedFields[fieldKey].label, value: extractedFields[fieldKey].value }))
+        });
+    }
+
+    // Incident information section
+    if (sectionConfig.incidentInfo?.enabled !== false) {
+        const incidentInfo = extractIncidentInformation(textToParse);
+        if (incidentInfo) {
+            reportSections.push({ key: 'incidentInfo', label: sectionConfig.incidentInfo?.label || 'Incident Information', content: incidentInfo });
+        }
+    }
+
+    // Action & recommendation section
+    if (sectionConfig.actionRecommendation?.enabled !== false) {
+        const actionRecommendation = extractActionRecommendation(textToParse);
+        if (actionRecommendation) {
+            reportSections.push({ key: 'actionRecommendation', label: sectionConfig.actionRecommendation?.label || 'Action & Recommendation', content: actionRecommendation });
+        }
+    }
+
+    const observables = extractObservables(rawText);
+    if (defang) {
+        for (const section of reportSections) {
+            if (section.content) section.content = defangText(section.content, observables);
+            for (const field of section.fields || []) field.value = defangText(field.value, observables);
+        }
+    }
+
+    const rendered = renderReport({ sections: reportSections }, format, template);
+
+    return {
+        formattedText: rendered.text.trimEnd(),
+        format,
+        profile: { name: profile.name, version: profile.version },
+        layout: parsed.layout,
+        ...(rendered.structured ? { report: rendered.structured } : {}),
+        ...(rendered.unresolved ? { unresolvedPlaceholders: rendered.unresolved } : {}),
+        extractedFields,
+        missingFields: parsed.missing,
+        timeline,
+        observables,
+        sectionsIncluded: Object.keys(sectionConfig).filter(key => sectionConfig[key]?.enabled !== false)
+    };
+}
+
+/**
+ * Reads the fields that identify an incident (signature, category and the time
+ * fields) whether or not the profile displays them. Used to group duplicate reports.
+ *
+ * Returns { signature, category, timeline }; fields not found are null.
+ */
+function describeReport(rawText, options = {}) {
+    const { profile: profileName = formatterProfiles.DEFAULT_PROFILE_NAME, customFields, timestamps } = options;
+
+    const profile = formatterProfiles.getProfile(profileName);
+    const configured = { ...profile.fieldConfig, ...customFields };
+    const fieldConfig = Object.fromEntries(['signature', 'category', ...TIMESTAMP_FIELDS]
+        .filter(fieldKey => configured[fieldKey])
+        .map(fieldKey => [fieldKey, { ...configured[fieldKey], section: 'general', enabled: true }]));
+
+    const parsed = parseReport(reportBody(rawText), fieldConfig);
+    const fields = Object.fromEntries(Object.entries(parsed.fields).map(([fieldKey, match]) => [fieldKey, {
+        label: fieldConfig[fieldKey].outputLabel,
+        value: match.value
+    }]));
+    const timeline = normalizeTimestamps(fields, fieldConfig, timestampOptionsFor(profile, timestamps));
+
+    return {
+        signature: fields.signature?.value ?? null,
+        category: fields.category?.value ?? null,
+        timeline
+    };
+}
+
+module.exports = {
+    formatReport,
+    describeReport
+};
@@ -0,0 +1,68 @@
+// ============================================================================
+// REVERSE DNS (PTR records)
+// ============================================================================
+
+const { Resolver } = require('dns').promises;
+const config = require('../config');
+const { createTtlCache } = require('./ttlCache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { normalizeIp, parseIp } = require('../utils/ipAddress');
+
+// Answers that mean "no PTR record" rather than a resolver failure. resolvePtr()
+// is used instead of reverse(), which also reports unreachable servers as ENOTFOUND.
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const resolver = new Resolver({ timeout: config.dns.timeoutMs, tries: 2 });
+if (config.dns.servers.length > 0) resolver.setServers(config.dns.servers);
+
+const cache = createTtlCache({ ttlMs: config.dns.cacheTtlMs, maxEntries: config.upstream.cacheMaxEntries });
+
+/**
+ * Reverse-lookup name of an IP ("4.3.2.1.in-addr.arpa", nibbles under "ip6.arpa")
+ */
+function arpaName(ip) {
+    const { version, value } = parseIp(ip);
+    if (version === 4) return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+    return `${[...value.toString(16).padStart(32, '0')].reverse().join('.')}.ip6.arpa`;
+}
+
+/**
+ * Resolves the PTR records of an IP. Returns
+ * { ip, status: 'success' | 'not-found' | 'fail', hostnames, error? }.
+ * Answers (including "not found") are cached; failures are not.
+ */
+async function lookupPtr(ip) {
+    const address = normalizeIp(ip) || ip;
+    const cached = cache.get(address);
+    if (cached !== undefined) return { ...cached, cacheHit: true };
+
+    let result;
+    try {
+        const hostnames = await resolver.resolvePtr(arpaName(address));
+        result = { ip: address, status: 'success', hostnames };
+    } catch (error) {
+        if (!NOT_FOUND_CODES.includes(error.code)) {
+            console.error(`PTR lookup failed for ${address}:`, error.code || error.message);
+            return { ip: address, status: 'fail', hostnames: [], error: error.code || error.message, cacheHit: false };
+        }
+        result = { ip: address, status: 'not-found', hostnames: [] };
+    }
+
+    cache.set(address, result);
+    return { ...result, cacheHit: false };
+}
+
+/**
+ * Resolves the PTR records of a list of IPs (each distinct IP once), in input order
+ */
+async function lookupPtrs(ips) {
+    const uniqueIps = [...new Set(ips)];
+    const results = await mapWithConcurrency(uniqueIps, config.dns.maxConcurrency, lookupPtr);
+    const byIp = new Map(uniqueIps.map((ip, index) => [ip, results[index]]));
+    return ips.map(ip => byIp.get(ip));
+}
+
+module.exports = {
+    lookupPtr,
+    lookupPtrs
+};
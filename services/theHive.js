@@ -0,0 +1,221 @@
+// ============================================================================
+// THEHIVE CLIENT (cases and alerts from formatted reports)
+// ============================================================================
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+// Severity words used in reports, mapped to TheHive's 1 (low) - 4 (critical) scale
+const SEVERITY_LEVELS = {
+    informational: 1,
+    info: 1,
+    low: 1,
+    medium: 2,
+    moderate: 2,
+    high: 3,
+    critical: 4
+};
+
+const DEFAULT_SEVERITY = 2;
+
+// Observable types from /api/format-report mapped to TheHive data types
+const OBSERVABLE_DATA_TYPES = {
+    ip: 'ip',
+    domain: 'domain',
+    url: 'url',
+    email: 'mail',
+    md5: 'hash',
+    sha1: 'hash',
+    sha256: 'hash',
+    hostname: 'hostname',
+    username: 'other'
+};
+
+// Observable types that are indicators in themselves. IPs are indicators only in a
+// source role; destination IPs, hostnames and usernames are usually our own assets.
+const INDICATOR_TYPES = new Set(['domain', 'url', 'email', 'md5', 'sha1', 'sha256']);
+
+const API_PATHS = {
+    4: { case: '/api/case', alert: '/api/alert', caseObservable: '/api/case/{caseId}/artifact', alertObservables: 'artifacts' },
+    5: { case: '/api/v1/case', alert: '/api/v1/alert', caseObservable: '/api/v1/case/{caseId}/observable', alertObservables: 'observables' }
+};
+
+/**
+ * Returns true when a TheHive URL and API key are configured
+ */
+function isConfigured() {
+    return Boolean(config.theHive.url && config.theHive.apiKey);
+}
+
+/**
+ * Maps a report's Severity value ("High", "3", "Critical - P1") to TheHive's 1-4 scale
+ */
+function parseSeverity(value) {
+    if (value === undefined || value === null) return DEFAULT_SEVERITY;
+    const text = String(value).trim().toLowerCase();
+    const number = Number(text);
+    if (Number.isInteger(number) && number >= 1 && number <= 4) return number;
+    const word = Object.keys(SEVERITY_LEVELS).find(level => new RegExp(`\\b${level}\\b`).test(text));
+    return word ? SEVERITY_LEVELS[word] : DEFAULT_SEVERITY;
+}
+
+/**
+ * Builds the case title from the Category and Signature fields
+ */
+function buildTitle(fields) {
+    const parts = [fields.category?.value, fields.signature?.value].filter(Boolean);
+    return parts.length > 0 ? parts.join(' - ') : 'Incident report';
+}
+
+/**
+ * Splits the Sub Categories value into tags ("Malware, Trojan / Dropper" -> 3 tags)
+ */
+function buildTags(fields) {
+    return (fields.subCategories?.value || '')
+        .split(/[,;/|]/)
+        .map(tag => tag.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Returns true when an observable should be flagged as an IOC in TheHive
+ */
+function isIndicator(observable) {
+    if (observable.type === 'ip') return (observable.roles || []).includes('source');
+    return INDICATOR_TYPES.has(observable.type);
+}
+
+/**
+ * Converts /api/format-report observables to TheHive observables. IP roles and
+ * types without a native TheHive data type are kept as tags; only indicators
+ * are flagged as IOCs, the rest are attached as context.
+ */
+function buildObservables(observables) {
+    return observables
+        .filter(observable => OBSERVABLE_DATA_TYPES[observable.type])
+        .map(observable => {
+            const tags = [...(observable.roles || [])];
+            if (OBSERVABLE_DATA_TYPES[observable.type] !== observable.type) tags.push(observable.type);
+            return {
+                dataType: OBSERVABLE_DATA_TYPES[observable.type],
+                data: observable.value,
+                message: `Extracted from incident report (${observable.type})`,
+                ioc: isIndicator(observable),
+                tags
+            };
+        });
+}
+
+/**
+ * Builds every request needed to push a formatted report, without sending anything.
+ *
+ * report  - the /api/format-report response ({ formattedText, extractedFields, observables })
+ * options - { type: 'case' | 'alert', tlp, pap, sourceRef }
+ *
+ * Returns { type, apiVersion, requests: [{ method, path, body }] }. Case observables
+ * are separate requests whose path contains a "{caseId}" placeholder.
+ */
+function buildSubmission(report, { type = 'case', tlp = 2, pap = 2, sourceRef } = {}) {
+    const apiVersion = config.theHive.apiVersion === 4 ? 4 : 5;
+    const paths = API_PATHS[apiVersion];
+    const fields = report.extractedFields || {};
+    const observables = buildObservables(report.observables || []);
+
+    const body = {
+        title: buildTitle(fields),
+        description: report.formattedText,
+        severity: parseSeverity(fields.severity?.value),
+        tlp,
+        pap,
+        tags: buildTags(fields)
+    };
+
+    if (type === 'alert') {
+        Object.assign(body, {
+            type: 'incident-report',
+            source: config.theHive.alertSource,
+            // Derived from the report text so pushing the same report twice is rejected as a duplicate
+            sourceRef: sourceRef || crypto.createHash('sha256').update(report.formattedText).digest('hex').slice(0, 16),
+            [paths.alertObservables]: observables
+        });
+        return { type, apiVersion, requests: [{ method: 'POST', path: paths.alert, body }] };
+    }
+
+    return {
+        type,
+        apiVersion,
+        requests: [
+            { method: 'POST', path: paths.case, body },
+            ...observables.map(observable => ({ method: 'POST', path: paths.caseObservable, body: observable }))
+        ]
+    };
+}
+
+/**
+ * Sends one request to TheHive, converting HTTP errors into a short message
+ */
+async function theHiveRequest(method, path, body) {
+    const headers = {
+        'Authorization': `Bearer ${config.theHive.apiKey}`,
+        'Content-Type': 'application/json'
+    };
+    if (config.theHive.organisation) headers['X-Organisation'] = config.theHive.organisation;
+
+    try {
+        const response = await axios.request({
+            method,
+            url: `${config.theHive.url}${path}`,
+            data: body,
+            headers,
+            timeout: config.theHive.timeoutMs
+        });
+        return response.data;
+    } catch (error) {
+        if (error.response) {
+            console.error(`TheHive API error ${error.response.status}:`, JSON.stringify(error.response.data));
+            const detail = error.response.data?.message ? ` (${error.response.data.message})` : '';
+            throw new Error(`TheHive API responded with status: ${error.response.status}${detail}`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Sends a submission built by buildSubmission. A case is created first and its
+ * observables are then added one by one; a failed observable does not undo the case.
+ * Returns { type, id, number, observables: { added, failed: [{ data, error }] } }.
+ */
+async function sendSubmission(submission) {
+    const [main, ...observableRequests] = submission.requests;
+    const created = await theHiveRequest(main.method, main.path, main.body);
+    const id = created._id || created.id;
+
+    const failed = [];
+    for (const request of observableRequests) {
+        try {
+            await theHiveRequest(request.method, request.path.replace('{caseId}', encodeURIComponent(id)), request.body);
+        } catch (error) {
+            console.error(`TheHive observable ${request.body.data} failed:`, error.message);
+            failed.push({ data: request.body.data, error: error.message });
+        }
+    }
+
+    const embedded = submission.type === 'alert' ? (main.body.observables || main.body.artifacts).length : 0;
+    return {
+        type: submission.type,
+        id,
+        number: created.number ?? created.caseId ?? null,
+        observables: {
+            added: embedded + observableRequests.length - failed.length,
+            failed
+        }
+    };
+}
+
+module.exports = {
+    isConfigured,
+    parseSeverity,
+    buildSubmission,
+    sendSubmission
+};
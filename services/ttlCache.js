@@ -0,0 +1,61 @@
+// ============================================================================
+// TTL CACHE
+// ============================================================================
+
+/**
+ * Creates an in-memory cache whose entries expire after ttlMs.
+ * Once maxEntries is reached the oldest entry is evicted (Map keeps insertion order).
+ */
+function createTtlCache({ ttlMs, maxEntries = 10000 }) {
+    const entries = new Map();
+    let hits = 0;
+    let misses = 0;
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            misses++;
+            return undefined;
+        }
+        hits++;
+        return entry.value;
+    }
+
+    function set(key, value, entryTtlMs = ttlMs) {
+        if (entryTtlMs <= 0) return;
+        entries.delete(key);
+        if (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, { value, expiresAt: Date.now() + entryTtlMs });
+    }
+
+    function flush() {
+        const flushed = entries.size;
+        entries.clear();
+        return flushed;
+    }
+
+    function stats() {
+        const total = hits + misses;
+        return {
+            size: entries.size,
+            maxEntries,
+            ttlSeconds: Math.round(ttlMs / 1000),
+            hits,
+            misses,
+            hitRate: total > 0 ? Math.round((hits / total) * 1000) / 1000 : null
+        };
+    }
+
+    return { get, set, flush, stats };
+}
+
+module.exports = {
+    createTtlCache
+};
@@ -0,0 +1,140 @@
+// ============================================================================
+// SHARED UPSTREAM CLIENT (cache + rate-limit queue)
+// ============================================================================
+
+const axios = require('axios');
+const config = require('../config');
+const { createTtlCache } = require('./ttlCache');
+const { createRateLimiter, UpstreamRateLimitError } = require('./rateLimiter');
+
+// Every client registers itself so the admin endpoints can report on and flush all caches
+const clients = new Map();
+
+/**
+ * Reads a numeric header value, or undefined when missing
+ */
+function headerNumber(headers, name) {
+    const value = headers?.[name.toLowerCase()];
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Creates a provider client.
+ *
+ * Options:
+ *   name                  - provider name used in metadata, logs and the admin endpoints
+ *   cacheTtlMs            - lifetime of cached responses
+ *   parseRateLimitHeaders - maps response headers to { limit, remaining, resetAt }
+ *
+ * Each distinct endpoint gets its own limiter (e.g. ip-api's single and batch
+ * endpoints have separate quotas); the cache is shared across them.
+ */
+function createUpstreamClient({ name, cacheTtlMs, parseRateLimitHeaders }) {
+    const cache = createTtlCache({ ttlMs: cacheTtlMs, maxEntries: config.upstream.cacheMaxEntries });
+    const limiters = new Map();
+
+    function limiterFor(endpoint) {
+        if (!limiters.has(endpoint)) {
+            limiters.set(endpoint, createRateLimiter({
+                name: `${name}:${endpoint}`,
+                maxWaitMs: config.upstream.maxQueueWaitMs
+            }));
+        }
+        return limiters.get(endpoint);
+    }
+
+    /**
+     * Builds the metadata attached to responses
+     */
+    function buildMeta(endpoint, cacheHit) {
+        const quota = limiterFor(endpoint).status();
+        return {
+            provider: name,
+            cacheHit,
+            quotaLimit: quota.limit,
+            quotaRemaining: quota.remaining,
+            quotaResetsAt: quota.resetsAt
+        };
+    }
+
+    /**
+     * Sends a request through the endpoint's rate-limit queue, serving it from cache when possible.
+     * "cacheKey" enables caching; "cacheable(data)" decides whether a response may be stored.
+     * Returns { data, meta }.
+     */
+    async function request({ endpoint = 'default', cacheKey, cacheable = () => true, ...requestConfig }) {
+        if (cacheKey !== undefined) {
+            const cached = cache.get(cacheKey);
+            if (cached !== undefined) {
+                return { data: cached, meta: buildMeta(endpoint, true) };
+            }
+        }
+
+        const limiter = limiterFor(endpoint);
+        for (let attempt = 0; ; attempt++) {
+            await limiter.acquire();
+
+            let response;
+            try {
+                response = await axios.request(requestConfig);
+            } catch (error) {
+                const headers = error.response?.headers;
+                limiter.update(parseRateLimitHeaders(headers || {}));
+
+                if (error.response?.status === 429) {
+                    // Park the limiter until the provider says the window resets, then retry
+                    const retryAfter = headerNumber(headers, 'Retry-After');
+                    const resetAt = Date.now() + (retryAfter !== undefined ? retryAfter * 1000 : 60 * 1000);
+                    limiter.update({ remaining: 0, resetAt });
+                    if (attempt < config.upstream.maxRetries) continue;
+                    throw new UpstreamRateLimitError(name, resetAt - Date.now());
+                }
+                throw error;
+            }
+
+            limiter.update(parseRateLimitHeaders(response.headers || {}));
+            if (cacheKey !== undefined && cacheable(response.data)) {
+                cache.set(cacheKey, response.data);
+            }
+            return { data: response.data, meta: buildMeta(endpoint, false) };
+        }
+    }
+
+    function stats() {
+        return {
+            provider: name,
+            cache: cache.stats(),
+            rateLimits: Array.from(limiters.values()).map(limiter => limiter.status())
+        };
+    }
+
+    const client = { name, cache, request, limiterFor, buildMeta, stats };
+    clients.set(name, client);
+    return client;
+}
+
+/**
+ * Returns cache and quota statistics for every registered provider
+ */
+function getUpstreamStats() {
+    return Array.from(clients.values()).map(client => client.stats());
+}
+
+/**
+ * Flushes the cache of one provider, or of every provider when none is given.
+ * Returns the number of entries removed per provider, or null for an unknown provider.
+ */
+function flushUpstreamCaches(provider) {
+    if (provider && !clients.has(provider)) return null;
+    const targets = provider ? [clients.get(provider)] : Array.from(clients.values());
+    return Object.fromEntries(targets.map(client => [client.name, client.cache.flush()]));
+}
+
+module.exports = {
+    headerNumber,
+    createUpstreamClient,
+    getUpstreamStats,
+    flushUpstreamCaches
+};
@@ -0,0 +1,54 @@
+// ============================================================================
+// CSV HELPERS
+// ============================================================================
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted fields with "" escapes
+ */
+function parseCsvLine(line, delimiter = ',') {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields;
+}
+
+/**
+ * Joins values into one CSV line. Fields containing the delimiter, quotes or line
+ * breaks are quoted; text starting with =, +, - or @ gets a leading "'" so
+ * spreadsheets do not evaluate it as a formula.
+ */
+function formatCsvLine(values, delimiter = ',') {
+    return values.map(value => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter);
+}
+
+module.exports = {
+    parseCsvLine,
+    formatCsvLine
+};
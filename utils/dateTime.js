@@ -0,0 +1,243 @@
+// ============================================================================
+// TIMESTAMP PARSING AND FORMATTING
+// ============================================================================
+//
+// Reports carry times in many shapes ("2026-10-05 10:00:00 UTC",
+// "05/10/2026 17:00 ICT", "Mon, 5 Oct 2026 10:00:00 +0000", epoch seconds).
+// Everything is parsed into an instant and rendered in one output timezone.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Offsets (minutes) of timezone abbreviations seen in SIEM/MSSP reports
+const ZONE_ABBREVIATIONS = {
+    UTC: 0, GMT: 0, Z: 0, WET: 0, CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180,
+    ICT: 420, WIB: 420, SGT: 480, HKT: 480, PHT: 480, AWST: 480, JST: 540, KST: 540,
+    AEST: 600, AEDT: 660, NZST: 720, NZDT: 780,
+    EST: -300, EDT: -240, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420
+};
+
+// Abbreviations shared by several zones (CST: US Central / China, IST: India / Ireland /
+// Israel, BST: British Summer / Bangladesh). Times using them are read in the input timezone.
+const AMBIGUOUS_ZONES = ['CST', 'IST', 'BST'];
+
+const DEFAULT_DISPLAY_FORMAT = 'YYYY-MM-DD HH:mm:ss Z';
+
+/**
+ * Returns true when "timezone" is an IANA zone name the runtime knows
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of an instant in an IANA timezone
+ */
+function zonedParts(epochMs, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(epochMs)).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second)
+    };
+}
+
+/**
+ * Offset of an IANA timezone from UTC at an instant, in minutes
+ */
+function timezoneOffset(epochMs, timezone) {
+    const parts = zonedParts(epochMs, timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts wall-clock time in an IANA timezone to epoch milliseconds
+ */
+function wallTimeToEpoch(fields, timezone) {
+    const guess = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond);
+    const offset = timezoneOffset(guess, timezone);
+    const epoch = guess - offset * 60000;
+    // Re-check across DST transitions, where the offset at the result differs from the guess
+    const corrected = timezoneOffset(epoch, timezone);
+    return corrected === offset ? epoch : guess - corrected * 60000;
+}
+
+/**
+ * Parses a "+07:00", "+0700", "+7", "UTC+7", "GMT-05:30" or abbreviation token into minutes
+ */
+function parseZone(token) {
+    if (!token) return null;
+    const text = token.trim().replace(/^\(|\)$/g, '').toUpperCase();
+    if (text in ZONE_ABBREVIATIONS) return ZONE_ABBREVIATIONS[text];
+    const match = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/.exec(text);
+    if (!match) return null;
+    const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+const TIME_PART = '(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,](\\d{1,6}))?)?\\s*([AaPp]\\.?[Mm]\\.?)?';
+const ZONE_PART = '(?:\\s*(Z|[+-]\\d{1,2}(?::?\\d{2})?|\\(?(?:UTC|GMT)\\s*[+-]\\d{1,2}(?::?\\d{2})?\\)?|\\(?[A-Za-z]{1,5}\\)?))?';
+
+const DATE_PATTERNS = [
+    // 2026-10-05T10:00:00Z, 2026-10-05 10:00:00 +07:00, 2026/10/05 10:00
+    { pattern: new RegExp(`^(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})(?:[T\\s]+${TIME_PART})?${ZONE_PART}$`), order: 'YMD' },
+    // 05/10/2026 17:00 ICT (day/month order decided by dateOrder)
+    { pattern: new RegExp(`^(\\d{1,2})[-/.](\\d{1,2})[-/.](\\d{4})(?:[T\\s,]+${TIME_PART})?${ZONE_PART}$`), order: 'NUMERIC' },
+    // 5 Oct 2026 10:00, Mon, 5 October 2026 10:00:00 +0000
+    { pattern: new RegExp(`^(?:[A-Za-z]{3,9},?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+([A-Za-z]{3,9})\\.?[\\s-,]+(\\d{4})(?:[T\\s,]+${TIME_PART})?${ZONE_PART}$`), order: 'DMonY' },
+    // Oct 5, 2026 10:00:00 AM, Monday October 5th 2026 10:00
+    { pattern: new RegExp(`^(?:[A-Za-z]{3,9},?\\s+)?([A-Za-z]{3,9})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})(?:[T\\s,]+(?:at\\s+)?${TIME_PART})?${ZONE_PART}$`), order: 'MonDY' }
+];
+
+/**
+ * Parses a report timestamp.
+ *
+ * Options: inputTimezone (IANA zone for times without an offset, default UTC) and
+ * dateOrder ('DMY' or 'MDY') for ambiguous numeric dates such as 05/10/2026.
+ * Returns { epochMs, hasTime, hasZone, ambiguousZone? } or null when the text is not a
+ * recognizable date. An ambiguous abbreviation (see AMBIGUOUS_ZONES) is returned as
+ * "ambiguousZone" and the time is read in inputTimezone, as if it had no zone.
+ */
+function parseTimestamp(text, { inputTimezone = 'UTC', dateOrder = 'DMY' } = {}) {
+    const trimmed = String(text).trim().replace(/\s+/g, ' ');
+
+    if (/^\d{10}(\d{3})?$/.test(trimmed)) {
+        const epochMs = trimmed.length === 10 ? Number(trimmed) * 1000 : Number(trimmed);
+        return { epochMs, hasTime: true, hasZone: true };
+    }
+
+    for (const { pattern, order } of DATE_PATTERNS) {
+        const match = pattern.exec(trimmed);
+        if (!match) continue;
+
+        let [, first, second, third] = match;
+        let year;
+        let month;
+        let day;
+        if (order === 'YMD') {
+            [year, month, day] = [Number(first), Number(second), Number(third)];
+        } else if (order === 'NUMERIC') {
+            year = Number(third);
+            const dayFirst = Number(first) > 12 || (Number(second) <= 12 && dateOrder !== 'MDY');
+            [day, month] = dayFirst ? [Number(first), Number(second)] : [Number(second), Number(first)];
+        } else {
+            if (order === 'MonDY') [first, second] = [second, first];
+            month = MONTHS.indexOf(second.slice(0, 3).toLowerCase()) + 1;
+            [year, day] = [Number(third), Number(first)];
+            if (month === 0) continue;
+        }
+
+        const [hourText, minuteText, secondText, fractionText, meridiem, zoneText] = match.slice(4);
+        let hour = Number(hourText || 0);
+        if (meridiem) {
+            const pm = meridiem[0].toLowerCase() === 'p';
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (pm ? 12 : 0);
+        }
+        const fields = {
+            year, month, day, hour,
+            minute: Number(minuteText || 0),
+            second: Number(secondText || 0),
+            millisecond: Number((fractionText || '0').padEnd(3, '0').slice(0, 3))
+        };
+        if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || fields.minute > 59 || fields.second > 60) return null;
+
+        const zoneName = zoneText ? zoneText.replace(/^\(|\)$/g, '').toUpperCase() : null;
+        const ambiguousZone = AMBIGUOUS_ZONES.includes(zoneName) ? zoneName : null;
+        const zoneOffset = ambiguousZone ? null : parseZone(zoneText);
+        if (zoneText && zoneOffset === null && !ambiguousZone) continue;
+
+        const epochMs = zoneOffset !== null
+            ? Date.UTC(year, month - 1, day, hour, fields.minute, fields.second, fields.millisecond) - zoneOffset * 60000
+            : wallTimeToEpoch(fields, inputTimezone);
+
+        // Reject dates that rolled over (31/02 -> 03/03)
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (check.getUTCMonth() !== month - 1) return null;
+
+        return {
+            epochMs,
+            hasTime: hourText !== undefined,
+            hasZone: zoneOffset !== null,
+            ...(ambiguousZone ? { ambiguousZone } : {})
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Formats an offset in minutes as "+07:00"
+ */
+function formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * ISO 8601 representation of an instant in a timezone ("2026-10-05T17:00:00+07:00")
+ */
+function toIsoString(epochMs, timezone = 'UTC') {
+    return formatTimestamp(epochMs, timezone, 'YYYY-MM-DDTHH:mm:ssZ').replace(/\+00:00$/, 'Z');
+}
+
+/**
+ * Renders an instant in a timezone with a display format.
+ * Tokens: YYYY MM DD HH mm ss, Z (offset "+07:00") and z (timezone name).
+ * Text in square brackets is copied without the brackets ("[Zone] z").
+ */
+function formatTimestamp(epochMs, timezone = 'UTC', displayFormat = DEFAULT_DISPLAY_FORMAT) {
+    const parts = zonedParts(epochMs, timezone);
+    const pad = (value) => String(value).padStart(2, '0');
+    const tokens = {
+        YYYY: String(parts.year),
+        MM: pad(parts.month),
+        DD: pad(parts.day),
+        HH: pad(parts.hour),
+        mm: pad(parts.minute),
+        ss: pad(parts.second),
+        Z: formatOffset(timezoneOffset(epochMs, timezone)),
+        z: timezone
+    };
+    return displayFormat.replace(/\[([^\]]*)\]|YYYY|MM|DD|HH|mm|ss|Z|z/g, (token, literal) => literal ?? tokens[token]);
+}
+
+/**
+ * Describes a duration as ISO 8601 ("PT1H5M") and human text ("1h 5m")
+ */
+function formatDuration(milliseconds) {
+    let seconds = Math.round(Math.abs(milliseconds) / 1000);
+    const days = Math.floor(seconds / 86400);
+    seconds -= days * 86400;
+    const hours = Math.floor(seconds / 3600);
+    seconds -= hours * 3600;
+    const minutes = Math.floor(seconds / 60);
+    seconds -= minutes * 60;
+
+    const units = [[days, 'd', 'D'], [hours, 'h', 'H'], [minutes, 'm', 'M'], [seconds, 's', 'S']];
+    const text = units.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`).join(' ') || '0s';
+    const datePart = days > 0 ? `${days}D` : '';
+    const timePart = units.slice(1).filter(([value]) => value > 0).map(([value, , unit]) => `${value}${unit}`).join('');
+    const iso = datePart || timePart ? `P${datePart}${timePart ? `T${timePart}` : ''}` : 'PT0S';
+    return { iso, text };
+}
+
+module.exports = {
+    DEFAULT_DISPLAY_FORMAT,
+    isValidTimezone,
+    parseTimestamp,
+    toIsoString,
+    formatTimestamp,
+    formatDuration
+};
@@ -0,0 +1,244 @@
+// ============================================================================
+// FIREWALL / BLOCKLIST RULE EXPORT
+// ============================================================================
+//
+// Renders a list of networks as block rules for common firewalls. Protected
+// ranges are removed first; every entry that was dropped or split is reported.
+
+const { parseCidr, formatIp, prefixMask, formatCidr } = require('./ipAddress');
+const { combineNetworks, findContainingNetworks } = require('./subnets');
+
+const EXPORT_TARGETS = [
+    'iptables',
+    'nftables',
+    'cisco-acl',
+    'paloalto-edl',
+    'paloalto-address-group',
+    'fortigate',
+    'netsh',
+    'powershell',
+    'edl'
+];
+
+const DIRECTIONS = ['inbound', 'outbound', 'both'];
+
+/**
+ * Removes networks that overlap protected ranges. A network inside a protected
+ * range is dropped; a network containing one is split around it.
+ * Returns { networks, removed: [{ entry, reason, protectedBy, replacedBy? }] }.
+ */
+function applyAllowlist(networks, allowlist) {
+    const kept = [];
+    const removed = [];
+
+    for (const network of networks) {
+        const parsed = parseCidr(network);
+        const overlapping = allowlist.filter(range => {
+            const protectedRange = parseCidr(range);
+            if (!protectedRange || protectedRange.version !== parsed.version) return false;
+            const shorter = Math.min(protectedRange.prefixLength, parsed.prefixLength);
+            const mask = prefixMask(shorter, parsed.version);
+            return (protectedRange.network & mask) === (parsed.network & mask);
+        });
+
+        if (overlapping.length === 0) {
+            kept.push(network);
+            continue;
+        }
+
+        const covering = findContainingNetworks(formatIp(parsed.network, parsed.version), overlapping)
+            .filter(range => parseCidr(range).prefixLength <= parsed.prefixLength);
+        if (covering.length > 0) {
+            removed.push({ entry: network, reason: `inside protected range ${covering[0]}`, protectedBy: covering });
+            continue;
+        }
+
+        const replacedBy = combineNetworks('subtract', [[network], overlapping]);
+        kept.push(...replacedBy);
+        removed.push({
+            entry: network,
+            reason: `contains protected range${overlapping.length > 1 ? 's' : ''} ${overlapping.join(', ')}; split into ${replacedBy.length} prefix${replacedBy.length === 1 ? '' : 'es'}`,
+            protectedBy: overlapping,
+            replacedBy
+        });
+    }
+
+    return { networks: kept, removed };
+}
+
+/**
+ * Object-name form of a network ("203.0.113.0/24" -> "203.0.113.0_24", IPv6 colons become "-")
+ */
+function objectName(prefix, network) {
+    return `${prefix}${network.replace('/', '_').replace(/:/g, '-')}`;
+}
+
+/**
+ * Cisco wildcard form: "203.0.113.0 0.0.0.255", or "host 203.0.113.5" for a /32
+ */
+function ciscoAddress(network) {
+    const { network: value, prefixLength } = parseCidr(network);
+    if (prefixLength === 32) return `host ${formatIp(value, 4)}`;
+    const wildcard = prefixMask(prefixLength, 4) ^ 0xffffffffn;
+    return `${formatIp(value, 4)} ${formatIp(wildcard, 4)}`;
+}
+
+/**
+ * Directions to emit for a direction option ("both" -> inbound and outbound)
+ */
+function directionsFor(direction) {
+    return direction === 'both' ? ['inbound', 'outbound'] : [direction];
+}
+
+const RENDERERS = {
+    'iptables': (networks, { comment, direction }) => networks.flatMap(network => {
+        const command = parseCidr(network).version === 6 ? 'ip6tables' : 'iptables';
+        const note = comment ? ` -m comment --comment "${comment}"` : '';
+        return directionsFor(direction).map(entry => (entry === 'inbound'
+            ? `${command} -I INPUT -s ${network}${note} -j DROP`
+            : `${command} -I OUTPUT -d ${network}${note} -j DROP`));
+    }),
+
+    'nftables': (networks, { prefix, comment, direction }) => {
+        const lines = ['nft add table inet filter'];
+        for (const [version, family] of [[4, 'ip'], [6, 'ip6']]) {
+            const members = networks.filter(network => parseCidr(network).version === version);
+            if (members.length === 0) continue;
+            const set = `${prefix}v${version}`;
+            const note = comment ? ` comment "${comment}"` : '';
+            lines.push(`nft add set inet filter ${set} '{ type ipv${version}_addr; flags interval;${note} }'`);
+            lines.push(`nft add element inet filter ${set} '{ ${members.join(', ')} }'`);
+            for (const entry of directionsFor(direction)) {
+                lines.push(entry === 'inbound'
+                    ? `nft add rule inet filter input ${family} saddr @${set} drop${note}`
+                    : `nft add rule inet filter output ${family} daddr @${set} drop${note}`);
+            }
+        }
+        return lines;
+    },
+
+    'cisco-acl': (networks, { prefix, comment, direction }) => {
+        const lines = [];
+        const ipv4 = networks.filter(network => parseCidr(network).version === 4);
+        const ipv6 = networks.filter(network => parseCidr(network).version === 6);
+        // Cisco remarks are limited to 100 characters
+        const remark = comment ? [` remark ${comment.slice(0, 100)}`] : [];
+
+        if (ipv4.length > 0) {
+            lines.push(`ip access-list extended ${prefix}ACL`, ...remark);
+            for (const network of ipv4) {
+                for (const entry of directionsFor(direction)) {
+                    lines.push(entry === 'inbound' ? ` deny ip ${ciscoAddress(network)} any` : ` deny ip any ${ciscoAddress(network)}`);
+                }
+            }
+            lines.push(' permit ip any any');
+        }
+        if (ipv6.length > 0) {
+            lines.push(`ipv6 access-list ${prefix}ACL6`, ...remark);
+            for (const network of ipv6) {
+                for (const entry of directionsFor(direction)) {
+                    lines.push(entry === 'inbound' ? ` deny ipv6 ${network} any` : ` deny ipv6 any ${network}`);
+                }
+            }
+            lines.push(' permit ipv6 any any');
+        }
+        return lines;
+    },
+
+    // PAN-OS external dynamic lists take one address, range or network per line, nothing else
+    'paloalto-edl': (networks) => networks,
+
+    'paloalto-address-group': (networks, { prefix, comment }) => {
+        const names = networks.map(network => objectName(prefix, network));
+        const lines = networks.flatMap((network, index) => [
+            `set address ${names[index]} ip-netmask ${network}`,
+            ...(comment ? [`set address ${names[index]} description "${comment}"`] : [])
+        ]);
+        lines.push(`set address-group ${prefix}group static [ ${names.join(' ')} ]`);
+        if (comment) lines.push(`set address-group ${prefix}group description "${comment}"`);
+        return lines;
+    },
+
+    'fortigate': (networks, { prefix, comment }) => {
+        const lines = [];
+        for (const version of [4, 6]) {
+            const members = networks.filter(network => parseCidr(network).version === version);
+            if (members.length === 0) continue;
+            const suffix = version === 6 ? '6' : '';
+
+            lines.push(`config firewall address${suffix}`);
+            for (const network of members) {
+                const { network: value, prefixLength } = parseCidr(network);
+                lines.push(`    edit "${objectName(prefix, network)}"`);
+                lines.push(version === 6
+                    ? `        set ip6 ${network}`
+                    : `        set subnet ${formatIp(value, 4)} ${formatIp(prefixMask(prefixLength, 4), 4)}`);
+                if (comment) lines.push(`        set comment "${comment}"`);
+                lines.push('    next');
+            }
+            lines.push('end');
+
+            lines.push(`config firewall addrgrp${suffix}`);
+            lines.push(`    edit "${prefix}group${suffix}"`);
+            lines.push(`        set member ${members.map(network => `"${objectName(prefix, network)}"`).join(' ')}`);
+            if (comment) lines.push(`        set comment "${comment}"`);
+            lines.push('    next', 'end');
+        }
+        return lines;
+    },
+
+    'netsh': (networks, { prefix, comment, direction }) => directionsFor(direction).map(entry => {
+        const dir = entry === 'inbound' ? 'in' : 'out';
+        const description = comment ? ` description="${comment}"` : '';
+        return `netsh advfirewall firewall add rule name="${prefix}${dir}" dir=${dir} action=block remoteip=${networks.join(',')}${description}`;
+    }),
+
+    'powershell': (networks, { prefix, comment, direction }) => directionsFor(direction).map(entry => {
+        const dir = entry === 'inbound' ? 'Inbound' : 'Outbound';
+        const description = comment ? ` -Description '${comment}'` : '';
+        const addresses = networks.map(network => `'${network}'`).join(',');
+        return `New-NetFirewallRule -DisplayName '${prefix}${dir}' -Direction ${dir} -Action Block -RemoteAddress ${addresses}${description}`;
+    }),
+
+    'edl': (networks, { comment }) => [
+        ...(comment ? [`# ${comment}`] : []),
+        `# Generated ${new Date().toISOString()} (${networks.length} entr${networks.length === 1 ? 'y' : 'ies'})`,
+        ...networks
+    ]
+};
+
+/**
+ * Renders networks as block rules for one target.
+ *
+ * Options: prefix (object/rule name prefix), comment, ticket (prepended to the
+ * comment as "[ticket]"), direction (inbound, outbound or both; ignored by list
+ * targets) and allowlist (protected ranges that are never blocked).
+ *
+ * Returns { target, content, entries, removed }.
+ */
+function exportBlockRules(networks, target, options = {}) {
+    const { prefix = '', comment, ticket, direction = 'inbound', allowlist = [] } = options;
+
+    const normalized = [...new Set(networks.map(network => {
+        const parsed = parseCidr(network);
+        return formatCidr(parsed.network, parsed.prefixLength, parsed.version);
+    }))];
+    const allowed = applyAllowlist(normalized, allowlist);
+    const entries = [...new Set(allowed.networks)];
+    const note = [ticket && `[${ticket}]`, comment].filter(Boolean).join(' ');
+
+    const lines = entries.length > 0 ? RENDERERS[target](entries, { prefix, comment: note, direction }) : [];
+    return {
+        target,
+        content: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+        entries,
+        removed: allowed.removed
+    };
+}
+
+module.exports = {
+    EXPORT_TARGETS,
+    DIRECTIONS,
+    applyAllowlist,
+    exportBlockRules
+};
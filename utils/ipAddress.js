@@ -0,0 +1,218 @@
+// ============================================================================
+// IP ADDRESS PARSING & FORMATTING (IPv4 / IPv6)
+// ============================================================================
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+/**
+ * Returns the address width in bits for an IP version (4 or 6)
+ */
+function bitsFor(version) {
+    return version === 6 ? IPV6_BITS : IPV4_BITS;
+}
+
+/**
+ * Parses a dotted-quad IPv4 string into a BigInt, or null when malformed
+ */
+function parseIPv4(str) {
+    const parts = str.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        // Reject empty octets, signs, and leading zeros ("010" is octal in some tools)
+        if (!/^\d{1,3}$/.test(part) || (part.length > 1 && part[0] === '0')) return null;
+        const octet = Number(part);
+        if (octet > 255) return null;
+        value = (value << 8n) | BigInt(octet);
+    }
+    return value;
+}
+
+/**
+ * Parses an IPv6 string (including "::" compression and embedded IPv4) into a BigInt
+ */
+function parseIPv6(str) {
+    // Drop a zone index such as "fe80::1%eth0"
+    const address = str.split('%')[0];
+    if (!address || !/^[0-9a-fA-F:.]+$/.test(address)) return null;
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (part) => {
+        if (part === '') return [];
+        const groups = part.split(':');
+        const result = [];
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            // The last group may be a dotted IPv4 tail (e.g. ::ffff:192.0.2.1)
+            if (i === groups.length - 1 && group.includes('.')) {
+                const v4 = parseIPv4(group);
+                if (v4 === null) return null;
+                result.push(Number(v4 >> 16n), Number(v4 & 0xffffn));
+                continue;
+            }
+            if (!/^[0-9a-fA-F]{1,4}$/.test(group)) return null;
+            result.push(parseInt(group, 16));
+        }
+        return result;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (head === null || tail === null) return null;
+
+    // An embedded IPv4 tail is only valid at the very end of the address
+    if (halves.length === 2 && halves[0].includes('.')) return null;
+
+    let groups;
+    if (halves.length === 2) {
+        const missing = 8 - head.length - tail.length;
+        if (missing < 1) return null;
+        groups = [...head, ...new Array(missing).fill(0), ...tail];
+    } else {
+        groups = head;
+    }
+    if (groups.length !== 8) return null;
+
+    return groups.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+}
+
+/**
+ * Parses an IPv4 or IPv6 string.
+ * Returns { version, value } where value is a BigInt, or null when the input is not an IP.
+ */
+function parseIp(input) {
+    if (typeof input !== 'string') return null;
+    const str = input.trim();
+    if (!str) return null;
+
+    if (str.includes(':')) {
+        const value = parseIPv6(str);
+        return value === null ? null : { version: 6, value };
+    }
+
+    const value = parseIPv4(str);
+    return value === null ? null : { version: 4, value };
+}
+
+/**
+ * Formats a BigInt address back to its canonical text form (RFC 5952 for IPv6)
+ */
+function formatIp(value, version) {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+    }
+
+    // IPv4-mapped addresses keep their dotted tail (::ffff:192.0.2.1)
+    if (value >> 32n === 0xffffn) {
+        return `::ffff:${formatIp(value & 0xffffffffn, 4)}`;
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(Number((value >> shift) & 0xffffn));
+    }
+
+    // Find the longest run (>= 2) of zero groups to compress with "::"
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < 8; i++) {
+        if (groups[i] !== 0) continue;
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLength && j - i >= 2) {
+            bestStart = i;
+            bestLength = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Normalizes an IP string to its canonical form, or returns null if it is not an IP
+ */
+function normalizeIp(input) {
+    const parsed = parseIp(input);
+    return parsed ? formatIp(parsed.value, parsed.version) : null;
+}
+
+/**
+ * Builds the network mask for a prefix length as a BigInt
+ */
+function prefixMask(prefixLength, version) {
+    const bits = BigInt(bitsFor(version));
+    const hostBits = bits - BigInt(prefixLength);
+    return ((1n << bits) - 1n) ^ ((1n << hostBits) - 1n);
+}
+
+/**
+ * Parses "address/prefix" notation. A bare IP is treated as a host prefix (/32 or /128).
+ * Returns { version, network, prefixLength } with host bits cleared, or null when malformed.
+ */
+function parseCidr(input) {
+    if (typeof input !== 'string') return null;
+    const [addressPart, prefixPart, extra] = input.trim().split('/');
+    if (extra !== undefined) return null;
+
+    const parsed = parseIp(addressPart);
+    if (!parsed) return null;
+
+    const maxBits = bitsFor(parsed.version);
+    let prefixLength = maxBits;
+    if (prefixPart !== undefined) {
+        if (!/^\d{1,3}$/.test(prefixPart)) return null;
+        prefixLength = Number(prefixPart);
+        if (prefixLength > maxBits) return null;
+    }
+
+    return {
+        version: parsed.version,
+        network: parsed.value & prefixMask(prefixLength, parsed.version),
+        prefixLength
+    };
+}
+
+/**
+ * Parses "start-end" address range notation (both ends inclusive, same IP version).
+ * Returns { version, start, end } as BigInts, or null when malformed or reversed.
+ */
+function parseRange(input) {
+    if (typeof input !== 'string') return null;
+    const parts = input.split('-');
+    if (parts.length !== 2) return null;
+
+    const start = parseIp(parts[0]);
+    const end = parseIp(parts[1]);
+    if (!start || !end || start.version !== end.version || start.value > end.value) return null;
+    return { version: start.version, start: start.value, end: end.value };
+}
+
+/**
+ * Formats a network BigInt and prefix length as CIDR text
+ */
+function formatCidr(network, prefixLength, version) {
+    return `${formatIp(network, version)}/${prefixLength}`;
+}
+
+module.exports = {
+    IPV4_BITS,
+    IPV6_BITS,
+    bitsFor,
+    parseIp,
+    formatIp,
+    normalizeIp,
+    prefixMask,
+    parseCidr,
+    parseRange,
+    formatCidr
+};
@@ -0,0 +1,127 @@
+// ============================================================================
+// SPECIAL-PURPOSE ADDRESS CLASSIFICATION
+// ============================================================================
+//
+// Based on the IANA IPv4/IPv6 Special-Purpose Address Registries, plus the
+// multicast blocks. "globallyReachable" mirrors the registry's column; anything
+// that is not globally reachable is skipped by the upstream lookups.
+
+const { parseIp, parseCidr, prefixMask, formatIp } = require('./ipAddress');
+
+const SPECIAL_PURPOSE_RANGES = [
+    // IPv4
+    { cidr: '0.0.0.0/8', category: 'this-network', name: '"This network"', rfc: 'RFC 791', globallyReachable: false },
+    { cidr: '0.0.0.0/32', category: 'this-network', name: '"This host on this network"', rfc: 'RFC 1122', globallyReachable: false },
+    { cidr: '10.0.0.0/8', category: 'private', name: 'Private-Use', rfc: 'RFC 1918', globallyReachable: false },
+    { cidr: '100.64.0.0/10', category: 'cgnat', name: 'Shared Address Space (CGNAT)', rfc: 'RFC 6598', globallyReachable: false },
+    { cidr: '127.0.0.0/8', category: 'loopback', name: 'Loopback', rfc: 'RFC 1122', globallyReachable: false },
+    { cidr: '169.254.0.0/16', category: 'link-local', name: 'Link Local', rfc: 'RFC 3927', globallyReachable: false },
+    { cidr: '172.16.0.0/12', category: 'private', name: 'Private-Use', rfc: 'RFC 1918', globallyReachable: false },
+    { cidr: '192.0.0.0/24', category: 'ietf-protocol', name: 'IETF Protocol Assignments', rfc: 'RFC 6890', globallyReachable: false },
+    { cidr: '192.0.0.0/29', category: 'ietf-protocol', name: 'IPv4 Service Continuity Prefix', rfc: 'RFC 7335', globallyReachable: false },
+    { cidr: '192.0.0.8/32', category: 'ietf-protocol', name: 'IPv4 dummy address', rfc: 'RFC 7600', globallyReachable: false },
+    { cidr: '192.0.0.9/32', category: 'anycast', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', globallyReachable: true },
+    { cidr: '192.0.0.10/32', category: 'anycast', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', globallyReachable: true },
+    { cidr: '192.0.0.170/32', category: 'ietf-protocol', name: 'NAT64/DNS64 Discovery', rfc: 'RFC 8880', globallyReachable: false },
+    { cidr: '192.0.0.171/32', category: 'ietf-protocol', name: 'NAT64/DNS64 Discovery', rfc: 'RFC 8880', globallyReachable: false },
+    { cidr: '192.0.2.0/24', category: 'documentation', name: 'Documentation (TEST-NET-1)', rfc: 'RFC 5737', globallyReachable: false },
+    { cidr: '192.31.196.0/24', category: 'as112', name: 'AS112-v4', rfc: 'RFC 7535', globallyReachable: true },
+    { cidr: '192.52.193.0/24', category: 'amt', name: 'AMT', rfc: 'RFC 7450', globallyReachable: true },
+    { cidr: '192.88.99.0/24', category: 'reserved', name: 'Deprecated (6to4 Relay Anycast)', rfc: 'RFC 7526', globallyReachable: false },
+    { cidr: '192.168.0.0/16', category: 'private', name: 'Private-Use', rfc: 'RFC 1918', globallyReachable: false },
+    { cidr: '192.175.48.0/24', category: 'as112', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', globallyReachable: true },
+    { cidr: '198.18.0.0/15', category: 'benchmarking', name: 'Benchmarking', rfc: 'RFC 2544', globallyReachable: false },
+    { cidr: '198.51.100.0/24', category: 'documentation', name: 'Documentation (TEST-NET-2)', rfc: 'RFC 5737', globallyReachable: false },
+    { cidr: '203.0.113.0/24', category: 'documentation', name: 'Documentation (TEST-NET-3)', rfc: 'RFC 5737', globallyReachable: false },
+    { cidr: '224.0.0.0/4', category: 'multicast', name: 'Multicast', rfc: 'RFC 5771', globallyReachable: false },
+    { cidr: '240.0.0.0/4', category: 'reserved', name: 'Reserved', rfc: 'RFC 1112', globallyReachable: false },
+    { cidr: '255.255.255.255/32', category: 'broadcast', name: 'Limited Broadcast', rfc: 'RFC 8190', globallyReachable: false },
+
+    // IPv6
+    { cidr: '::/128', category: 'unspecified', name: 'Unspecified Address', rfc: 'RFC 4291', globallyReachable: false },
+    { cidr: '::1/128', category: 'loopback', name: 'Loopback Address', rfc: 'RFC 4291', globallyReachable: false },
+    { cidr: '::ffff:0:0/96', category: 'ipv4-mapped', name: 'IPv4-mapped Address', rfc: 'RFC 4291', globallyReachable: false },
+    { cidr: '64:ff9b::/96', category: 'translation', name: 'IPv4-IPv6 Translation', rfc: 'RFC 6052', globallyReachable: true },
+    { cidr: '64:ff9b:1::/48', category: 'translation', name: 'IPv4-IPv6 Local-Use Translation', rfc: 'RFC 8215', globallyReachable: false },
+    { cidr: '100::/64', category: 'discard', name: 'Discard-Only Address Block', rfc: 'RFC 6666', globallyReachable: false },
+    { cidr: '2001::/23', category: 'ietf-protocol', name: 'IETF Protocol Assignments', rfc: 'RFC 2928', globallyReachable: false },
+    { cidr: '2001::/32', category: 'teredo', name: 'TEREDO', rfc: 'RFC 4380', globallyReachable: true },
+    { cidr: '2001:1::1/128', category: 'anycast', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', globallyReachable: true },
+    { cidr: '2001:1::2/128', category: 'anycast', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', globallyReachable: true },
+    { cidr: '2001:1::3/128', category: 'anycast', name: 'DNS-SD Service Registration Protocol Anycast', rfc: 'RFC 9665', globallyReachable: true },
+    { cidr: '2001:2::/48', category: 'benchmarking', name: 'Benchmarking', rfc: 'RFC 5180', globallyReachable: false },
+    { cidr: '2001:3::/32', category: 'amt', name: 'AMT', rfc: 'RFC 7450', globallyReachable: true },
+    { cidr: '2001:4:112::/48', category: 'as112', name: 'AS112-v6', rfc: 'RFC 7535', globallyReachable: true },
+    { cidr: '2001:10::/28', category: 'reserved', name: 'Deprecated (previously ORCHID)', rfc: 'RFC 4843', globallyReachable: false },
+    { cidr: '2001:20::/28', category: 'orchid', name: 'ORCHIDv2', rfc: 'RFC 7343', globallyReachable: true },
+    { cidr: '2001:30::/28', category: 'drone-remote-id', name: 'Drone Remote ID Protocol Entity Tags (DETs) Prefix', rfc: 'RFC 9374', globallyReachable: true },
+    { cidr: '2001:db8::/32', category: 'documentation', name: 'Documentation', rfc: 'RFC 3849', globallyReachable: false },
+    { cidr: '2002::/16', category: '6to4', name: '6to4', rfc: 'RFC 3056', globallyReachable: true },
+    { cidr: '2620:4f:8000::/48', category: 'as112', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', globallyReachable: true },
+    { cidr: '3fff::/20', category: 'documentation', name: 'Documentation', rfc: 'RFC 9637', globallyReachable: false },
+    { cidr: '5f00::/16', category: 'segment-routing', name: 'Segment Routing (SRv6) SIDs', rfc: 'RFC 9602', globallyReachable: false },
+    { cidr: 'fc00::/7', category: 'unique-local', name: 'Unique-Local', rfc: 'RFC 4193', globallyReachable: false },
+    { cidr: 'fe80::/10', category: 'link-local', name: 'Link-Local Unicast', rfc: 'RFC 4291', globallyReachable: false },
+    { cidr: 'ff00::/8', category: 'multicast', name: 'Multicast', rfc: 'RFC 4291', globallyReachable: false }
+].map(entry => ({ ...entry, ...parseCidr(entry.cidr) }));
+
+// IPv6 global unicast space; everything outside it that is not listed above is unallocated
+const IPV6_GLOBAL_UNICAST = parseCidr('2000::/3');
+
+/**
+ * Returns true when an address falls inside a parsed prefix
+ */
+function prefixContains(prefix, value, version) {
+    return prefix.version === version && (value & prefixMask(prefix.prefixLength, version)) === prefix.network;
+}
+
+/**
+ * Classifies an IP against the special-purpose registries using the most specific match.
+ * Returns { ip, version, category, name, rfc, range, globallyReachable }, or null for non-IP input.
+ */
+function classifyIp(input) {
+    const parsed = parseIp(input);
+    if (!parsed) return null;
+
+    const { version, value } = parsed;
+    let match = null;
+    for (const entry of SPECIAL_PURPOSE_RANGES) {
+        if (prefixContains(entry, value, version) && (!match || entry.prefixLength > match.prefixLength)) {
+            match = entry;
+        }
+    }
+
+    const ip = formatIp(value, version);
+    if (match) {
+        return {
+            ip,
+            version,
+            category: match.category,
+            name: match.name,
+            rfc: match.rfc,
+            range: match.cidr,
+            globallyReachable: match.globallyReachable
+        };
+    }
+
+    if (version === 6 && !prefixContains(IPV6_GLOBAL_UNICAST, value, 6)) {
+        return { ip, version, category: 'reserved', name: 'Unallocated (outside 2000::/3)', rfc: 'RFC 4291', range: null, globallyReachable: false };
+    }
+
+    return { ip, version, category: 'public', name: 'Public', rfc: null, range: null, globallyReachable: true };
+}
+
+/**
+ * Returns true when an upstream lookup for this address is worthwhile.
+ * Non-IP input is left for the upstream provider to reject.
+ */
+function isRoutable(input) {
+    const classification = classifyIp(input);
+    return !classification || classification.globallyReachable;
+}
+
+module.exports = {
+    SPECIAL_PURPOSE_RANGES,
+    classifyIp,
+    isRoutable
+};
@@ -0,0 +1,91 @@
+// ============================================================================
+// IP EXTRACTION FROM RAW TEXT
+// ============================================================================
+
+const { parseIp, formatIp } = require('./ipAddress');
+
+// Common defanging styles used when sharing indicators: 1.2.3[.]4, 1[dot]2, 2001:db8[:]:1, hxxp://
+const REFANG_RULES = [
+    [/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\{dot\}/gi, '.'],
+    [/\[:\]|\(:\)|\[colon\]/gi, ':'],
+    [/\bhxxp(s?)(?=(?::|\[:\])\/\/)/gi, 'http$1']
+];
+
+// Runs of characters that can make up an IPv4 or IPv6 address
+const CANDIDATE_PATTERN = /[0-9A-Fa-f:.]+/g;
+
+// A dotted quad not glued to other digits or dots (so "1.2.3.4.5" version strings are skipped)
+const IPV4_PATTERN = /(?<![\d.])\d{1,3}(?:\.\d{1,3}){3}(?!\.?\d)/g;
+
+/**
+ * Undoes common indicator defanging so addresses can be parsed
+ */
+function refangText(text) {
+    return REFANG_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Filters out colon-separated tokens that parse as IPv6 but are clearly not addresses
+ * (e.g. "d::" from "std::vector"): require a decimal digit and at least two groups,
+ * unless the address starts with "::" (as in ::1).
+ */
+function looksLikeIPv6(candidate) {
+    if (!/\d/.test(candidate)) return false;
+    const groups = candidate.split(':').filter(Boolean);
+    return groups.length >= 2 || candidate.startsWith('::');
+}
+
+/**
+ * Finds the addresses in a single run of hex/colon/dot characters
+ */
+function addressesInCandidate(candidate) {
+    if (candidate.includes(':')) {
+        const trimmed = candidate.replace(/\.+$/, '');
+        const parsed = looksLikeIPv6(trimmed) ? parseIp(trimmed) : null;
+        if (parsed && parsed.version === 6) {
+            return [formatIp(parsed.value, 6)];
+        }
+    }
+
+    // Covers bare IPv4, "ip:port" pairs and dotted quads glued to other characters
+    const found = [];
+    for (const match of candidate.matchAll(IPV4_PATTERN)) {
+        const parsed = parseIp(match[0]);
+        if (parsed) found.push(formatIp(parsed.value, 4));
+    }
+    return found;
+}
+
+/**
+ * Extracts every IPv4/IPv6 address from raw log text.
+ * Handles defanged forms, ip:port pairs and bracketed IPv6 ([2001:db8::1]:443).
+ * Returns one entry per unique address in order of first appearance, with its
+ * occurrence count and the 1-based line numbers it appeared on.
+ */
+function extractIps(text) {
+    const results = new Map();
+    const lines = refangText(text).split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        for (const [candidate] of line.matchAll(CANDIDATE_PATTERN)) {
+            for (const ip of addressesInCandidate(candidate)) {
+                if (!results.has(ip)) {
+                    results.set(ip, { ip, version: ip.includes(':') ? 6 : 4, count: 0, lines: [] });
+                }
+                const entry = results.get(ip);
+                entry.count++;
+                if (entry.lines[entry.lines.length - 1] !== lineNumber) {
+                    entry.lines.push(lineNumber);
+                }
+            }
+        }
+    });
+
+    return Array.from(results.values());
+}
+
+module.exports = {
+    refangText,
+    extractIps
+};
@@ -0,0 +1,185 @@
+// ============================================================================
+// MAXMIND DB (.mmdb) READER
+// ============================================================================
+//
+// Minimal reader for the MaxMind DB format (GeoLite2/GeoIP2, DB-IP and
+// IP2Location all publish .mmdb files): https://maxmind.github.io/MaxMind-DB/
+
+const fs = require('fs');
+const { parseIp } = require('./ipAddress');
+
+const METADATA_MARKER = Buffer.from('\xAB\xCD\xEFMaxMind.com', 'latin1');
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+
+/**
+ * Decodes values from the data section (and the metadata, which uses the same encoding)
+ */
+function createDecoder(buffer, pointerBase) {
+    function readUnsigned(offset, size) {
+        let value = 0n;
+        for (let i = 0; i < size; i++) {
+            value = (value << 8n) | BigInt(buffer[offset + i]);
+        }
+        return value;
+    }
+
+    // Integers wider than 53 bits are returned as strings to keep them exact
+    function toNumber(value) {
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    }
+
+    /**
+     * Decodes the value at offset. Returns { value, offset } with the offset just past it.
+     */
+    function decode(offset) {
+        const control = buffer[offset++];
+        let type = control >> 5;
+
+        if (type === 1) {
+            const sizeBits = (control >> 3) & 0x3;
+            const high = control & 0x7;
+            let pointer;
+            if (sizeBits === 0) {
+                pointer = (high << 8) | buffer[offset];
+            } else if (sizeBits === 1) {
+                pointer = ((high << 16) | buffer.readUInt16BE(offset)) + 2048;
+            } else if (sizeBits === 2) {
+                pointer = ((high << 24) | buffer.readUIntBE(offset, 3)) + 526336;
+            } else {
+                pointer = buffer.readUInt32BE(offset);
+            }
+            const { value } = decode(pointerBase + pointer);
+            return { value, offset: offset + sizeBits + 1 };
+        }
+
+        if (type === 0) {
+            type = 7 + buffer[offset++];
+        }
+
+        let size = control & 0x1f;
+        if (size === 29) {
+            size = 29 + buffer[offset++];
+        } else if (size === 30) {
+            size = 285 + buffer.readUInt16BE(offset);
+            offset += 2;
+        } else if (size === 31) {
+            size = 65821 + buffer.readUIntBE(offset, 3);
+            offset += 3;
+        }
+
+        switch (type) {
+            case 2:
+                return { value: buffer.toString('utf8', offset, offset + size), offset: offset + size };
+            case 3:
+                return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+            case 4:
+                return { value: buffer.subarray(offset, offset + size), offset: offset + size };
+            case 5:
+            case 6:
+            case 9:
+            case 10:
+                return { value: toNumber(readUnsigned(offset, size)), offset: offset + size };
+            case 7: {
+                const map = {};
+                for (let i = 0; i < size; i++) {
+                    const key = decode(offset);
+                    const entry = decode(key.offset);
+                    map[key.value] = entry.value;
+                    offset = entry.offset;
+                }
+                return { value: map, offset };
+            }
+            case 8: {
+                // int32 is stored in up to 4 bytes; sign-extend the full-width value
+                const raw = Number(readUnsigned(offset, size));
+                return { value: size === 4 ? raw | 0 : raw, offset: offset + size };
+            }
+            case 11: {
+                const array = [];
+                for (let i = 0; i < size; i++) {
+                    const entry = decode(offset);
+                    array.push(entry.value);
+                    offset = entry.offset;
+                }
+                return { value: array, offset };
+            }
+            case 14:
+                return { value: size !== 0, offset };
+            case 15:
+                return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+            default:
+                throw new Error(`Unsupported MaxMind DB data type ${type}`);
+        }
+    }
+
+    return decode;
+}
+
+/**
+ * Opens a .mmdb file. Returns { metadata, lookup(ip) } where lookup returns the
+ * record for the most specific network containing the IP, or null.
+ */
+function openMmdb(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    const markerIndex = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerIndex === -1) {
+        throw new Error(`${filePath} is not a MaxMind DB file (metadata marker not found)`);
+    }
+    const metadataStart = markerIndex + METADATA_MARKER.length;
+    const metadata = createDecoder(buffer, metadataStart)(metadataStart).value;
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+        throw new Error(`Unsupported MaxMind DB record size ${recordSize}`);
+    }
+
+    const nodeBytes = (recordSize * 2) / 8;
+    const searchTreeSize = nodeCount * nodeBytes;
+    const dataSectionStart = searchTreeSize + DATA_SECTION_SEPARATOR_SIZE;
+    const decode = createDecoder(buffer, dataSectionStart);
+
+    function readRecord(node, side) {
+        const offset = node * nodeBytes;
+        if (recordSize === 24) {
+            return buffer.readUIntBE(offset + side * 3, 3);
+        }
+        if (recordSize === 28) {
+            const middle = buffer[offset + 3];
+            return side === 0
+                ? ((middle & 0xf0) << 20) | buffer.readUIntBE(offset, 3)
+                : ((middle & 0x0f) << 24) | buffer.readUIntBE(offset + 4, 3);
+        }
+        return buffer.readUInt32BE(offset + side * 4);
+    }
+
+    // IPv4 lookups in an IPv6 tree start below the ::/96 subtree (96 zero bits)
+    let ipv4StartNode = 0;
+    if (ipVersion === 6) {
+        for (let i = 0; i < 96 && ipv4StartNode < nodeCount; i++) {
+            ipv4StartNode = readRecord(ipv4StartNode, 0);
+        }
+    }
+
+    function lookup(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) return null;
+        if (parsed.version === 6 && ipVersion === 4) return null;
+
+        const bitCount = parsed.version === 6 ? 128 : 32;
+        let node = parsed.version === 4 && ipVersion === 6 ? ipv4StartNode : 0;
+
+        for (let bit = bitCount - 1; bit >= 0 && node < nodeCount; bit--) {
+            node = readRecord(node, Number((parsed.value >> BigInt(bit)) & 1n));
+        }
+
+        if (node <= nodeCount) return null;
+        return decode(dataSectionStart + (node - nodeCount - DATA_SECTION_SEPARATOR_SIZE)).value;
+    }
+
+    return { metadata, lookup };
+}
+
+module.exports = {
+    openMmdb
+};
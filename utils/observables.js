@@ -0,0 +1,177 @@
+// ============================================================================
+// OBSERVABLE (IOC) EXTRACTION FROM INCIDENT REPORTS
+// ============================================================================
+
+const { refangText, extractIps } = require('./ipExtract');
+const { parseIp } = require('./ipAddress');
+
+const URL_PATTERN = /\b(?:https?|ftp):\/\/[^\s<>"'`]+/gi;
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}\b/g;
+
+const DOMAIN_PATTERN = /(?<![\w.@-])(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}(?![\w-]|\.\w)/g;
+
+const HASH_PATTERNS = [
+    ['sha256', /(?<![0-9A-Fa-f])[0-9A-Fa-f]{64}(?![0-9A-Fa-f])/g],
+    ['sha1', /(?<![0-9A-Fa-f])[0-9A-Fa-f]{40}(?![0-9A-Fa-f])/g],
+    ['md5', /(?<![0-9A-Fa-f])[0-9A-Fa-f]{32}(?![0-9A-Fa-f])/g]
+];
+
+// "Label : value" pairs that name a host or an account; the value is one token
+const HOSTNAME_LABEL = /\b(?:(?:source|src|destination|dest|dst|target)[ _]?)?(?:host(?:[ _]?name)?|computer(?:[ _]?name)?|device[ _]?name|workstation(?:[ _]?name)?|machine(?:[ _]?name)?)\s*\**\s*:\s*\**\s*([A-Za-z0-9][\w.-]*)/gi;
+const USERNAME_LABEL = /\b(?:(?:source|src|destination|dest|dst|target)[ _]?)?(?:user(?:[ _]?name)?|account(?:[ _]?name)?|login)\s*\**\s*:\s*\**\s*([^\s,;|*]+)/gi;
+
+const EMPTY_VALUES = new Set(['-', 'n/a', 'na', 'none', 'null', 'unknown', 'system']);
+
+// Role words that decide whether an IP is the source or the destination of the event
+const ROLE_PATTERN = /\b(source|src|attacker|origin(?:ating)?|from|destination|dest|dst|target|victim|to)\b/gi;
+const SOURCE_ROLES = new Set(['source', 'src', 'attacker', 'origin', 'originating', 'from']);
+
+// File extensions that look like top-level domains ("invoice.pdf", "payload.exe")
+const FILE_EXTENSIONS = new Set([
+    'exe', 'dll', 'sys', 'bat', 'cmd', 'ps1', 'vbs', 'js', 'jar', 'msi', 'scr', 'lnk', 'hta',
+    'doc', 'docx', 'docm', 'xls', 'xlsx', 'xlsm', 'ppt', 'pptx', 'pdf', 'rtf', 'txt', 'csv', 'log',
+    'zip', 'rar', 'gz', 'tar', 'iso', 'img', 'png', 'jpg', 'jpeg', 'gif', 'html', 'htm', 'xml', 'json', 'tmp', 'dat', 'ini'
+]);
+
+const TYPE_ORDER = ['ip', 'domain', 'url', 'email', 'md5', 'sha1', 'sha256', 'hostname', 'username'];
+
+/**
+ * Decides whether an IP at "position" in a line is a source or destination from the closest role word before it
+ */
+function roleBefore(line, position) {
+    let role = null;
+    for (const match of line.slice(0, position).matchAll(ROLE_PATTERN)) {
+        role = SOURCE_ROLES.has(match[1].toLowerCase()) ? 'source' : 'destination';
+    }
+    return role;
+}
+
+/**
+ * Strips punctuation that usually ends a sentence rather than a URL
+ */
+function trimUrl(url) {
+    let trimmed = url.replace(/[.,;:!?]+$/, '');
+    // Keep a closing bracket only when the URL opened one
+    while (/[)\]}]$/.test(trimmed) && (trimmed.match(/[([{]/g) || []).length < (trimmed.match(/[)\]}]/g) || []).length) {
+        trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed;
+}
+
+/**
+ * Extracts typed observables from report text: IPs (with source/destination roles),
+ * domains, URLs, email addresses, MD5/SHA1/SHA256 hashes, hostnames and usernames.
+ * Defanged indicators are refanged first. Returns one entry per (type, value),
+ * ordered by type then first appearance: { type, value, count, roles? }.
+ */
+function extractObservables(text) {
+    const refanged = refangText(text);
+    const lines = refanged.split(/\r?\n/);
+    const found = new Map();
+
+    const add = (type, value, extra = {}) => {
+        const key = `${type}:${type === 'url' ? value : value.toLowerCase()}`;
+        if (!found.has(key)) found.set(key, { type, value, count: 0, ...extra });
+        found.get(key).count++;
+        return found.get(key);
+    };
+
+    for (const entry of extractIps(text)) {
+        const roles = new Set();
+        for (const lineNumber of entry.lines) {
+            const line = lines[lineNumber - 1];
+            const position = line.indexOf(entry.ip);
+            const role = roleBefore(line, position === -1 ? line.length : position);
+            if (role) roles.add(role);
+        }
+        const observable = add('ip', entry.ip, { roles: [...roles].sort().reverse() });
+        observable.count = entry.count;
+    }
+
+    // URLs and emails are masked out so their host parts are not reported again as domains
+    let remaining = refanged.replace(URL_PATTERN, (match) => {
+        add('url', trimUrl(match));
+        return ' ';
+    });
+    remaining = remaining.replace(EMAIL_PATTERN, (match) => {
+        add('email', match.toLowerCase());
+        return ' ';
+    });
+
+    for (const [type, pattern] of HASH_PATTERNS) {
+        remaining = remaining.replace(pattern, (match) => {
+            add(type, match.toLowerCase());
+            return ' ';
+        });
+    }
+
+    const hostnames = new Set();
+    for (const match of remaining.matchAll(HOSTNAME_LABEL)) {
+        const value = match[1].replace(/\.+$/, '');
+        if (EMPTY_VALUES.has(value.toLowerCase()) || parseIp(value)) continue;
+        hostnames.add(value.toLowerCase());
+        add('hostname', value);
+    }
+
+    for (const match of remaining.matchAll(USERNAME_LABEL)) {
+        const value = match[1].replace(/[.:]+$/, '');
+        if (!value || EMPTY_VALUES.has(value.toLowerCase()) || parseIp(value)) continue;
+        add('username', value);
+    }
+
+    for (const [match] of remaining.matchAll(DOMAIN_PATTERN)) {
+        const domain = match.toLowerCase();
+        const tld = domain.slice(domain.lastIndexOf('.') + 1);
+        if (FILE_EXTENSIONS.has(tld) || hostnames.has(domain)) continue;
+        add('domain', domain);
+    }
+
+    return Array.from(found.values()).sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+}
+
+/**
+ * Defangs one observable value so it cannot be clicked or resolved
+ */
+function defangValue(type, value) {
+    switch (type) {
+        case 'ip':
+            return value.includes(':') ? value.replace(/:/g, '[:]') : value.replace(/\./g, '[.]');
+        case 'domain':
+        case 'hostname':
+            return value.replace(/\./g, '[.]');
+        case 'url':
+            return value.replace(/^http/i, 'hxxp').replace('://', '[://]').replace(/\./g, '[.]');
+        case 'email':
+            return value.replace('@', '[@]').replace(/\./g, '[.]');
+        default:
+            return value;
+    }
+}
+
+/**
+ * Rewrites every occurrence of the given observables in text in defanged form.
+ * Partially defanged indicators are refanged first so the output is consistent.
+ */
+function defangText(text, observables) {
+    const defangable = observables.filter(observable => defangValue(observable.type, observable.value) !== observable.value);
+    if (defangable.length === 0) return text;
+
+    const byValue = new Map(defangable.map(observable => [observable.value.toLowerCase(), observable]));
+    // Longest first so a URL is rewritten as a whole before the domain inside it
+    const alternation = [...byValue.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+
+    return refangText(text).replace(new RegExp(`(?<![\\w.])(?:${alternation})(?![\\w])`, 'gi'), (match) => {
+        const observable = byValue.get(match.toLowerCase());
+        return defangValue(observable.type, match);
+    });
+}
+
+module.exports = {
+    extractObservables,
+    defangValue,
+    defangText
+};
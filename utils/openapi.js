@@ -0,0 +1,149 @@
+// ============================================================================
+// OPENAPI DOCUMENT
+// ============================================================================
+//
+// Generated from the validate() specs attached to the Express routes, so the
+// published contract is always the one the server enforces.
+
+const VALIDATION_ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                    path: { type: 'string' },
+                    message: { type: 'string' },
+                    value: {}
+                }
+            }
+        },
+        invalid: { type: 'array', items: {} }
+    }
+};
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        retryAfterSeconds: { type: 'integer' }
+    }
+};
+
+const SECURITY_SCHEMES = {
+    bearerAuth: { type: 'http', scheme: 'bearer', description: 'Issued API key' },
+    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * Removes keywords that only matter to the local validator
+ */
+function publicSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(publicSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => key !== 'errorMessage')
+        .map(([key, value]) => [key, publicSchema(value)]));
+}
+
+/**
+ * Expands an Express path into OpenAPI paths ("/a/:ip?" -> "/a" and "/a/{ip}")
+ */
+function openApiPaths(expressPath) {
+    const optional = /\/:(\w+)\?/.exec(expressPath);
+    const paths = optional
+        ? [expressPath.slice(0, optional.index) + expressPath.slice(optional.index + optional[0].length), expressPath.replace('?', '')]
+        : [expressPath];
+    return paths.map(path => ({
+        path: path.replace(/:(\w+)/g, '{$1}'),
+        pathParams: [...path.matchAll(/:(\w+)/g)].map(match => match[1])
+    }));
+}
+
+/**
+ * Builds the OpenAPI parameter list for one location
+ */
+function parametersFor(location, schema, names) {
+    const properties = schema?.properties || {};
+    const required = new Set(schema?.required || []);
+    return Object.entries(properties)
+        .filter(([name]) => !names || names.includes(name))
+        .map(([name, propertySchema]) => ({
+            name,
+            in: location,
+            required: location === 'path' || required.has(name),
+            ...(propertySchema.description ? { description: propertySchema.description } : {}),
+            schema: publicSchema(propertySchema)
+        }));
+}
+
+/**
+ * Builds an OpenAPI 3.1 document from every route registered with a validate() middleware
+ */
+function buildOpenApiDocument(app, info) {
+    const paths = {};
+
+    for (const layer of app._router.stack) {
+        if (!layer.route) continue;
+        const handlers = layer.route.stack.map(entry => entry.handle);
+        const spec = handlers.map(handle => handle.requestSpec).find(Boolean);
+        if (!spec) continue;
+        const requiredRole = handlers.map(handle => handle.requiredRole).find(Boolean);
+        const metered = handlers.some(handle => handle.metered);
+
+        for (const method of Object.keys(layer.route.methods)) {
+            for (const { path, pathParams } of openApiPaths(layer.route.path)) {
+                const operation = {
+                    summary: spec.summary,
+                    ...(spec.description ? { description: spec.description } : {}),
+                    ...(spec.tags ? { tags: spec.tags } : {}),
+                    parameters: [
+                        ...parametersFor('path', spec.params, pathParams),
+                        ...parametersFor('query', spec.query)
+                    ],
+                    responses: {
+                        200: { description: 'Success' },
+                        400: {
+                            description: 'Request validation failed',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } }
+                        },
+                        401: errorResponse('Missing, invalid or expired API key'),
+                        ...(requiredRole ? { 403: errorResponse(`API key lacks the "${requiredRole}" role`) } : {}),
+                        ...(metered ? { 429: errorResponse('Per-key rate limit or daily quota reached (see Retry-After)') } : {})
+                    }
+                };
+                if (requiredRole) operation['x-required-role'] = requiredRole;
+                if (spec.body) {
+                    operation.requestBody = {
+                        required: true,
+                        content: { 'application/json': { schema: publicSchema(spec.body) } }
+                    };
+                }
+                paths[path] = { ...paths[path], [method]: operation };
+            }
+        }
+    }
+
+    return {
+        openapi: '3.1.0',
+        info,
+        paths,
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        components: {
+            schemas: { ValidationError: VALIDATION_ERROR_SCHEMA, Error: ERROR_SCHEMA },
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,55 @@
+// ============================================================================
+// PREFIX TREE (binary trie keyed by address bits)
+// ============================================================================
+//
+// Longest-prefix style lookups over many CIDRs: a lookup walks at most 32
+// (IPv4) or 128 (IPv6) nodes however many prefixes are stored.
+
+const { bitsFor, parseIp, parseCidr } = require('./ipAddress');
+
+/**
+ * Creates an empty tree. Values are attached to prefixes with insert(cidr, value);
+ * lookup(ip) returns the values of every stored prefix containing the address,
+ * most specific first.
+ */
+function createPrefixTree() {
+    const roots = { 4: { children: [null, null], values: [] }, 6: { children: [null, null], values: [] } };
+    let size = 0;
+
+    function insert(cidr, value) {
+        const parsed = parseCidr(cidr);
+        if (!parsed) return false;
+
+        const bits = bitsFor(parsed.version);
+        let node = roots[parsed.version];
+        for (let depth = 0; depth < parsed.prefixLength; depth++) {
+            const bit = Number((parsed.network >> BigInt(bits - 1 - depth)) & 1n);
+            if (!node.children[bit]) node.children[bit] = { children: [null, null], values: [] };
+            node = node.children[bit];
+        }
+        node.values.push(value);
+        size++;
+        return true;
+    }
+
+    function lookup(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) return [];
+
+        const bits = bitsFor(parsed.version);
+        const found = [];
+        let node = roots[parsed.version];
+        for (let depth = 0; node; depth++) {
+            if (node.values.length > 0) found.unshift(...node.values);
+            if (depth === bits) break;
+            node = node.children[Number((parsed.value >> BigInt(bits - 1 - depth)) & 1n)];
+        }
+        return found;
+    }
+
+    return { insert, lookup, get size() { return size; } };
+}
+
+module.exports = {
+    createPrefixTree
+};
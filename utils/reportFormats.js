@@ -0,0 +1,134 @@
+// ============================================================================
+// INCIDENT REPORT OUTPUT FORMATS
+// ============================================================================
+//
+// Every renderer takes the same structured report:
+//   { sections: [{ key, label, fields: [{ key, label, value }] } | { key, label, content }] }
+// Sections and fields arrive already filtered and in their configured order.
+
+const OUTPUT_FORMATS = ['text', 'markdown', 'html', 'json', 'template'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Renders the general fields as "Label : value" lines
+ */
+function fieldLines(section) {
+    return section.fields.map(field => `${field.label} : ${field.value}`).join('\n');
+}
+
+/**
+ * The original indented plain-text layout
+ */
+function renderText(report) {
+    return report.sections
+        .map(section => `    ${section.label}\n${section.fields ? fieldLines(section) : section.content}`)
+        .join('\n\n');
+}
+
+/**
+ * Markdown with one heading per section, as rendered by TheHive
+ */
+function renderMarkdown(report) {
+    return report.sections
+        .map(section => {
+            const body = section.fields
+                ? section.fields.map(field => `- **${field.label}:** ${field.value}`).join('\n')
+                : section.content.split('\n').join('  \n');
+            return `### ${section.label}\n\n${body}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Escapes text for HTML element content and attributes
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML fragment (headings, a field table and paragraphs) for email handoffs
+ */
+function renderHtml(report) {
+    return report.sections
+        .map(section => {
+            const body = section.fields
+                ? `<table>\n${section.fields.map(field => `  <tr><th>${escapeHtml(field.label)}</th><td>${escapeHtml(field.value)}</td></tr>`).join('\n')}\n</table>`
+                : `<p>${section.content.split('\n').map(escapeHtml).join('<br>\n')}</p>`;
+            return `<h3>${escapeHtml(section.label)}</h3>\n${body}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Resolves one template placeholder. Returns undefined for unknown names.
+ *
+ *   fields                  all general fields as "Label : value" lines
+ *   field.<key>             a field's value      label.<key>   a field's label
+ *   section.<key>           a section's body     section.<key>.label
+ */
+function resolvePlaceholder(name, report) {
+    const sections = new Map(report.sections.map(section => [section.key, section]));
+    const fields = new Map(report.sections.flatMap(section => section.fields || []).map(field => [field.key, field]));
+    const [kind, key, property] = name.split('.');
+
+    if (kind === 'fields' && !key) {
+        const general = report.sections.find(section => section.fields);
+        return general ? fieldLines(general) : '';
+    }
+    if (kind === 'field' && key && !property) return fields.get(key)?.value ?? '';
+    if (kind === 'label' && key && !property) return fields.get(key)?.label ?? '';
+    if (kind === 'section' && key) {
+        const section = sections.get(key);
+        if (property === 'label') return section?.label ?? '';
+        if (!property) return section ? (section.fields ? fieldLines(section) : section.content) : '';
+    }
+    return undefined;
+}
+
+/**
+ * Fills a user template. Placeholders for fields or sections that were not found
+ * render empty; unknown placeholder names are left out and reported.
+ * Returns { text, unresolved }.
+ */
+function renderTemplate(report, template) {
+    const unresolved = new Set();
+    const text = template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = resolvePlaceholder(name, report);
+        if (value === undefined) {
+            unresolved.add(name);
+            return '';
+        }
+        return value;
+    });
+    return { text, unresolved: [...unresolved] };
+}
+
+/**
+ * Renders a report in one of OUTPUT_FORMATS. Returns { text, structured?, unresolved? }.
+ */
+function renderReport(report, format = 'text', template = '') {
+    switch (format) {
+        case 'markdown':
+            return { text: renderMarkdown(report) };
+        case 'html':
+            return { text: renderHtml(report) };
+        case 'json':
+            return { text: JSON.stringify(report, null, 2), structured: report };
+        case 'template':
+            return renderTemplate(report, template);
+        default:
+            return { text: renderText(report) };
+    }
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    renderReport
+};
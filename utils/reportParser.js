@@ -0,0 +1,344 @@
+// ============================================================================
+// INCIDENT REPORT PARSING (layout detection + per-field strategies)
+// ============================================================================
+//
+// The layout of a report is detected first; each configured field is then
+// looked up with the strategies that suit that layout, falling back to the
+// others. Every value carries the strategy that found it and a confidence.
+
+const { parseCsvLine } = require('./csv');
+
+const LAYOUTS = ['json', 'csv', 'email', 'bold-markdown', 'tabular', 'key-value'];
+
+// Strategies tried per layout, best first
+const STRATEGY_ORDER = {
+    'json': ['json-key', 'key-value'],
+    'csv': ['csv-column'],
+    'email': ['email-header', 'key-value', 'bold-same-line', 'bold-next-line', 'generic'],
+    'bold-markdown': ['bold-same-line', 'bold-next-line', 'bold-multi-line', 'key-value', 'tabular', 'generic'],
+    'tabular': ['tabular', 'key-value', 'bold-same-line', 'bold-next-line', 'generic'],
+    'key-value': ['key-value', 'tabular', 'bold-same-line', 'bold-next-line', 'bold-multi-line', 'generic']
+};
+
+// Strategies that are the natural reading of each layout (others lose confidence)
+const NATIVE_STRATEGIES = {
+    'json': ['json-key'],
+    'csv': ['csv-column'],
+    'email': ['email-header', 'key-value'],
+    'bold-markdown': ['bold-same-line', 'bold-next-line', 'bold-multi-line'],
+    'tabular': ['tabular'],
+    'key-value': ['key-value']
+};
+
+const STRATEGY_CONFIDENCE = {
+    'json-key': 0.95,
+    'csv-column': 0.95,
+    'email-header': 0.9,
+    'tabular': 0.9,
+    'bold-same-line': 0.9,
+    'bold-next-line': 0.85,
+    'bold-multi-line': 0.75,
+    'key-value': 0.9,
+    'generic': 0.5
+};
+
+const EMAIL_HEADER = /^(?:from|to|cc|subject|date|sent|reply-to|message-id)\s*:/i;
+
+/**
+ * Escapes a literal string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the label part of a pattern for a keyword. The keyword must start the
+ * label ("Category" does not match "Sub Category"); trailing word characters are
+ * captured so truncated keywords like "Sub Categor" still match "Sub Category".
+ */
+function labelPattern(keyword) {
+    return `(?<![A-Za-z0-9][ ]?)${escapeRegExp(keyword.trim()).replace(/\s+/g, '\\s+')}(\\w*)`;
+}
+
+/**
+ * Lowercases and strips separators so "Sub_Category", "sub category" and "subCategory" compare equal
+ */
+function normalizeKey(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ----------------------------------------------------------------------------
+// Layout detection
+// ----------------------------------------------------------------------------
+
+/**
+ * Parses a JSON export (object, or array whose first element is an object)
+ */
+function parseJsonExport(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return null;
+    try {
+        const parsed = JSON.parse(trimmed);
+        const record = Array.isArray(parsed) ? parsed[0] : parsed;
+        return record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parses a CSV/TSV export: a header row and at least one data row with the same column count
+ */
+function parseCsvExport(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2 || lines[0].includes(':')) return null;
+
+    for (const delimiter of [',', ';', '\t']) {
+        const header = parseCsvLine(lines[0], delimiter).map(cell => cell.trim());
+        if (header.length < 2 || header.some(cell => !/^[\w .()/-]+$/.test(cell))) continue;
+        const row = parseCsvLine(lines[1], delimiter);
+        if (row.length !== header.length) continue;
+        return Object.fromEntries(header.map((name, index) => [name, row[index].trim()]));
+    }
+    return null;
+}
+
+/**
+ * Scores every layout for a report and returns the best one: { type, confidence, scores }
+ */
+function detectLayout(text) {
+    const lines = text.split(/\r?\n/);
+    const scores = Object.fromEntries(LAYOUTS.map(layout => [layout, 0]));
+
+    if (parseJsonExport(text)) scores.json = 1;
+    if (parseCsvExport(text)) scores.csv = 0.9;
+
+    const blankLine = lines.findIndex(line => !line.trim());
+    const headerBlock = blankLine === -1 ? lines : lines.slice(0, blankLine);
+    const emailHeaders = headerBlock.filter(line => EMAIL_HEADER.test(line.trim())).length;
+    if (emailHeaders >= 2) scores.email = Math.min(0.95, 0.5 + 0.1 * emailHeaders);
+
+    const boldLines = lines.filter(line => /\*\*[^*\n]+:\s*\*\*|\*\*[^*\n]+\*\*\s*:/.test(line)).length;
+    if (boldLines > 0) scores['bold-markdown'] = Math.min(0.95, 0.4 + 0.1 * boldLines);
+
+    const tabularLines = lines.filter(line => line.includes('\t') && (line.match(/[A-Za-z][\w ]*\s*:/g) || []).length >= 2).length;
+    if (tabularLines > 0) scores.tabular = Math.min(0.95, 0.5 + 0.15 * tabularLines);
+
+    const keyValueLines = lines.filter(line => /^\s*(?:[-*•]\s+)?[A-Za-z][\w ()/+.-]{0,40}\s*[:=]\s*\S/.test(line)).length;
+    scores['key-value'] = keyValueLines > 0 ? Math.min(0.9, 0.3 + 0.05 * keyValueLines) : 0.1;
+
+    const type = LAYOUTS.reduce((best, layout) => (scores[layout] > scores[best] ? layout : best), 'key-value');
+    return { type, confidence: Number(scores[type].toFixed(2)), scores };
+}
+
+// ----------------------------------------------------------------------------
+// Field strategies: each returns { value, partial } or null
+// ----------------------------------------------------------------------------
+
+/**
+ * Returns the first non-empty captured value of a pattern; "partial" is true when
+ * the label continued past the keyword
+ */
+function firstMatch(text, pattern, clean = value => value.trim()) {
+    for (const match of text.matchAll(pattern)) {
+        const value = clean(match[2] || '');
+        if (value) return { value, partial: Boolean(match[1]) };
+    }
+    return null;
+}
+
+/**
+ * Finds the value of a structured export column whose name matches the keyword.
+ * Nested JSON keys are flattened ("source.ip"); the last segment or the full path may match.
+ */
+function lookupRecord(record, keyword) {
+    const wanted = normalizeKey(keyword);
+    const entries = [];
+    const flatten = (value, path) => {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, child] of Object.entries(value)) flatten(child, path ? `${path}.${key}` : key);
+        } else if (value !== null && value !== undefined && value !== '') {
+            entries.push([path, Array.isArray(value) ? value.join(', ') : String(value)]);
+        }
+    };
+    flatten(record, '');
+
+    for (const [path, value] of entries) {
+        const last = path.split('.').pop();
+        if (normalizeKey(last) === wanted || normalizeKey(path) === wanted) return { value, partial: false };
+    }
+    for (const [path, value] of entries) {
+        if (normalizeKey(path.split('.').pop()).startsWith(wanted)) return { value, partial: true };
+    }
+    return null;
+}
+
+const STRATEGIES = {
+    'json-key': (text, keyword, context) => (context.json ? lookupRecord(context.json, keyword) : null),
+
+    'csv-column': (text, keyword, context) => (context.csv ? lookupRecord(context.csv, keyword) : null),
+
+    // "From: ..." style header block at the top of a forwarded email
+    'email-header': (text, keyword) => {
+        const end = text.search(/\r?\n\s*\r?\n/);
+        const header = end === -1 ? text : text.slice(0, end);
+        return firstMatch(header, new RegExp(`^[^\\S\\n]*${labelPattern(keyword)}[^\\S\\n]*:[^\\S\\n]*(.+?)[^\\S\\n]*$`, 'gim'));
+    },
+
+    // "Category : value<TAB>Sub Category: value" on one line
+    'tabular': (text, keyword) => {
+        const pattern = new RegExp(`${labelPattern(keyword)}[^\\S\\n]*:[^\\S\\n]*([^\\t\\n]+?)[^\\S\\n]*(?=\\t|$)`, 'gim');
+        for (const match of text.matchAll(pattern)) {
+            const lineStart = text.lastIndexOf('\n', match.index) + 1;
+            const lineEnd = text.indexOf('\n', match.index);
+            if (!text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).includes('\t')) continue;
+            if (match[2].trim()) return { value: match[2].trim(), partial: Boolean(match[1]) };
+        }
+        return null;
+    },
+
+    // "**Category :** value", "**Category : ** value", "**Category** : value"
+    'bold-same-line': (text, keyword) => firstMatch(text,
+        new RegExp(`\\*\\*${labelPattern(keyword)}[^\\S\\n]*(?::[^\\S\\n]*\\*\\*?|\\*\\*[^\\S\\n]*:)[^\\S\\n]*([^\\n*]*)`, 'gi')),
+
+    // "**Category :**" with the value on the next line
+    'bold-next-line': (text, keyword) => firstMatch(text,
+        new RegExp(`\\*\\*${labelPattern(keyword)}[^\\S\\n]*(?::[^\\S\\n]*\\*\\*?|\\*\\*[^\\S\\n]*:)[^\\S\\n]*\\n\\s*([^\\n*]+)`, 'gi')),
+
+    // "**Category :**" followed by several lines, up to the next bold label
+    'bold-multi-line': (text, keyword) => firstMatch(text,
+        new RegExp(`\\*\\*${labelPattern(keyword)}[^\\S\\n]*:\\*\\*?[^\\S\\n]*\\n([\\s\\S]*?)(?=\\*\\*[^*]+:\\*\\*?|$)`, 'gi'),
+        value => value.trim().replace(/\n\s*\n/g, '\n')),
+
+    // "Category : value" or "Category = value" on its own line (optionally bulleted)
+    'key-value': (text, keyword) => firstMatch(text,
+        new RegExp(`^[^\\S\\n]*(?:[-*•][^\\S\\n]+)?${labelPattern(keyword)}[^\\S\\n]*[:=][^\\S\\n]*(.+?)[^\\S\\n]*$`, 'gim')),
+
+    // "Category: value" anywhere, cut before the next "Label :"
+    'generic': (text, keyword) => firstMatch(text,
+        new RegExp(`${labelPattern(keyword)}[^\\S\\n]*:(.*)$`, 'gim'),
+        value => (/(.*?)(?:\s+[A-Za-z ]+\s*:|$)/.exec(value)?.[1] || '').trim())
+};
+
+/**
+ * Scores a match: the strategy's base confidence, lowered when the strategy is not
+ * native to the layout, when the keyword only matched the start of a longer label,
+ * or when the value itself looks like another label
+ */
+function scoreMatch(strategy, layout, match) {
+    let confidence = STRATEGY_CONFIDENCE[strategy];
+    if (!NATIVE_STRATEGIES[layout].includes(strategy)) confidence -= 0.15;
+    if (match.partial) confidence -= 0.1;
+    if (/^[A-Za-z][\w ]{0,30}:\s*/.test(match.value)) confidence -= 0.3;
+    return Number(Math.min(1, Math.max(0.05, confidence)).toFixed(2));
+}
+
+/**
+ * Parses a report with the given field configuration ({ key: { keywords, section, enabled } }).
+ * Only enabled "general" fields are extracted.
+ *
+ * Returns { layout: { type, confidence }, fields: { key: { value, strategy, keyword, confidence } },
+ * missing: [keys of enabled fields that were not found] }.
+ */
+function parseReport(text, fieldConfig) {
+    const layout = detectLayout(text);
+    const context = {
+        json: layout.type === 'json' ? parseJsonExport(text) : null,
+        csv: layout.type === 'csv' ? parseCsvExport(text) : null
+    };
+
+    const fields = {};
+    const missing = [];
+
+    for (const [fieldKey, field] of Object.entries(fieldConfig)) {
+        if (field.section !== 'general' || field.enabled === false) continue;
+
+        let best = null;
+        for (const strategy of STRATEGY_ORDER[layout.type]) {
+            for (const keyword of field.keywords) {
+                const match = STRATEGIES[strategy](text, keyword, context);
+                if (!match) continue;
+                const confidence = scoreMatch(strategy, layout.type, match);
+                if (!best || confidence > best.confidence) {
+                    best = { value: match.value, strategy, keyword, confidence };
+                }
+            }
+            // A confident hit from an earlier strategy wins over later fallbacks
+            if (best && best.confidence >= 0.75) break;
+        }
+
+        if (best) {
+            fields[fieldKey] = best;
+        } else {
+            missing.push(fieldKey);
+        }
+    }
+
+    return { layout: { type: layout.type, confidence: layout.confidence }, fields, missing };
+}
+
+// ----------------------------------------------------------------------------
+// Splitting concatenated dumps
+// ----------------------------------------------------------------------------
+
+// A line made only of ---, ===, ***, ___, ### or ~~~ (three or more)
+const SEPARATOR_LINE = /^[ \t]*([-=*_#~])\1{2,}[ \t]*$/m;
+
+/**
+ * Splits a dump into reports whenever the label of its first line ("**Category :**",
+ * "Alert ID:") starts a line again
+ */
+function splitOnRepeatedLabel(text) {
+    const lines = text.split(/\r?\n/);
+    const first = lines.find(line => line.trim());
+    const label = first && /^\s*(\**[A-Za-z][\w ()/-]{0,40}?\s*\**\s*:)/.exec(first);
+    if (!label) return [text];
+
+    const reports = [];
+    let current = [];
+    for (const line of lines) {
+        if (line.trimStart().startsWith(label[1].trim()) && current.some(entry => entry.trim())) {
+            reports.push(current.join('\n'));
+            current = [];
+        }
+        current.push(line);
+    }
+    reports.push(current.join('\n'));
+    return reports;
+}
+
+/**
+ * Splits a concatenated dump into individual reports.
+ *
+ * A custom "separator" string wins. Otherwise a JSON array is split per element,
+ * a CSV export per data row (each keeping the header), text on separator lines
+ * (---, ===, ...) and, failing that, wherever the first line's label repeats.
+ * Returns the non-empty reports, trimmed.
+ */
+function splitReports(dump, separator) {
+    let reports;
+
+    if (separator) {
+        reports = dump.split(separator);
+    } else if (parseJsonExport(dump)) {
+        const parsed = JSON.parse(dump.trim());
+        reports = Array.isArray(parsed) ? parsed.map(record => JSON.stringify(record, null, 2)) : [dump];
+    } else if (parseCsvExport(dump)) {
+        const [header, ...rows] = dump.split(/\r?\n/).filter(line => line.trim());
+        reports = rows.map(row => `${header}\n${row}`);
+    } else if (SEPARATOR_LINE.test(dump)) {
+        reports = dump.split(new RegExp(SEPARATOR_LINE.source, 'gm')).filter((part, index) => index % 2 === 0);
+    } else {
+        reports = splitOnRepeatedLabel(dump);
+    }
+
+    return reports.map(report => report.trim()).filter(Boolean);
+}
+
+module.exports = {
+    LAYOUTS,
+    escapeRegExp,
+    detectLayout,
+    parseReport,
+    splitReports
+};
@@ -0,0 +1,164 @@
+// ============================================================================
+// SCHEMA VALIDATION (JSON Schema subset)
+// ============================================================================
+//
+// Supports the keywords the API schemas use: type, enum, properties, required,
+// additionalProperties, items, minItems, maxItems, minLength, maxLength,
+// minimum, maximum, pattern, format (ip, cidr, ip-range, timezone, date-time),
+// anyOf, allOf and minProperties. The same schemas are published unchanged in the
+// OpenAPI document.
+
+const { parseIp, parseCidr, parseRange } = require('./ipAddress');
+const { isValidTimezone } = require('./dateTime');
+
+// Date, optionally followed by a time and offset
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const FORMATS = {
+    ip: (value) => parseIp(value) !== null,
+    cidr: (value) => parseCidr(value) !== null,
+    'ip-range': (value) => parseRange(value) !== null,
+    timezone: (value) => isValidTimezone(value),
+    'date-time': (value) => ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const FORMAT_MESSAGES = {
+    ip: 'must be a valid IPv4 or IPv6 address',
+    cidr: 'must be a valid IP address or CIDR network',
+    'ip-range': 'must be an address range "start-end" with both ends of the same IP version, start first',
+    timezone: 'must be an IANA timezone name such as "UTC" or "Asia/Bangkok"',
+    'date-time': 'must be an ISO 8601 date or date-time such as "2026-10-05" or "2026-10-05T10:00:00Z"'
+};
+
+/**
+ * Returns the JSON type name of a value ("integer" for whole numbers)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Checks a value against a schema type, treating integers as numbers
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Converts query-string/path values to the schema's scalar type ("5" -> 5, "true" -> true).
+ * Returns the value unchanged when it cannot be converted.
+ */
+function coerceScalar(value, schema) {
+    if (typeof value !== 'string' || !schema.type) return value;
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean')) {
+        if (value === 'true' || value === '') return true;
+        if (value === 'false') return false;
+    }
+    return value;
+}
+
+/**
+ * Appends an object key or array index to an error path
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates a value. Returns a list of { path, message, value } errors (empty when valid).
+ */
+function validateSchema(schema, value, path = '') {
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || '(root)', message, value });
+
+    if (schema.anyOf) {
+        const branches = schema.anyOf.map(branch => validateSchema(branch, value, path));
+        if (!branches.some(branchErrors => branchErrors.length === 0)) {
+            if (schema.errorMessage) {
+                fail(schema.errorMessage);
+                return errors;
+            }
+            // Report the branch of the right type that got furthest, which is usually the one the caller meant
+            const typed = branches.filter((branchErrors, index) => !schema.anyOf[index].type || matchesType(value, schema.anyOf[index].type));
+            if (typed.length === 0) {
+                fail('does not match any of the allowed shapes');
+            } else {
+                errors.push(...typed.reduce((best, current) => (current.length < best.length ? current : best)));
+            }
+            return errors;
+        }
+    }
+
+    for (const branch of schema.allOf || []) {
+        errors.push(...validateSchema(branch, value, path));
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be of type ${Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(schema.errorMessage || `must match ${schema.pattern}`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(FORMAT_MESSAGES[schema.format]);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must contain at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, joinPath(path, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required', value: undefined });
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(schema.errorMessage || `must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        for (const [key, entry] of Object.entries(value)) {
+            if (entry === undefined) continue;
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], entry, joinPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not an allowed property', value: entry });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, entry, joinPath(path, key)));
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    coerceScalar,
+    validateSchema
+};
@@ -0,0 +1,125 @@
+// ============================================================================
+// STIX 2.1 EXPORT
+// ============================================================================
+//
+// Turns lookup history entries into a bundle a threat-intel platform can
+// import: one ipv4-addr / ipv6-addr object per address and one observed-data
+// object per lookup. Only addresses whose highest AbuseIPDB score reaches the
+// suspicious threshold also get an indicator; the rest were merely observed.
+
+const crypto = require('crypto');
+const { parseIp } = require('./ipAddress');
+
+// Namespace the STIX 2.1 specification defines for deterministic SCO identifiers
+const SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7';
+
+/**
+ * RFC 4122 version 5 (SHA-1, name-based) UUID
+ */
+function uuidV5(name, namespace) {
+    const namespaceBytes = Buffer.from(namespace.replace(/-/g, ''), 'hex');
+    const hash = crypto.createHash('sha1').update(namespaceBytes).update(name).digest();
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * The address object of an IP, with the identifier the specification derives from its value
+ */
+function addressObject(ip) {
+    const type = parseIp(ip).version === 6 ? 'ipv6-addr' : 'ipv4-addr';
+    return {
+        type,
+        spec_version: '2.1',
+        id: `${type}--${uuidV5(JSON.stringify({ value: ip }), SCO_NAMESPACE)}`,
+        value: ip
+    };
+}
+
+/**
+ * Indicator type for the highest AbuseIPDB score seen for an address, or null
+ * when the score does not make the address an indicator
+ */
+function indicatorTypes(score, { suspiciousScore, maliciousScore }) {
+    if (score === null || score < suspiciousScore) return null;
+    return score >= maliciousScore ? ['malicious-activity'] : ['anomalous-activity'];
+}
+
+/**
+ * Human-readable summary of what the lookups of one address found
+ */
+function describeAddress(ip, lookups, score) {
+    const geolocation = lookups.find(entry => entry.source === 'ip-info')?.result;
+    const parts = [`Looked up ${lookups.length} time${lookups.length === 1 ? '' : 's'}`];
+    if (geolocation) {
+        const place = [geolocation.city, geolocation.country].filter(Boolean).join(', ');
+        if (place) parts.push(`located in ${place}`);
+        if (geolocation.asn !== null) parts.push(`AS${geolocation.asn}${geolocation.org || geolocation.isp ? ` (${geolocation.org || geolocation.isp})` : ''}`);
+    }
+    if (score !== null) parts.push(`AbuseIPDB confidence ${score}%`);
+    return `${ip}: ${parts.join('; ')}`;
+}
+
+/**
+ * Builds a STIX 2.1 bundle from lookup history entries. "thresholds" ({
+ * suspiciousScore, maliciousScore }) decide from the highest AbuseIPDB score
+ * recorded for an address whether it gets an indicator, and of which type.
+ */
+function buildStixBundle(entries, thresholds) {
+    const byIp = new Map();
+    for (const entry of entries) {
+        if (!byIp.has(entry.ip)) byIp.set(entry.ip, []);
+        byIp.get(entry.ip).push(entry);
+    }
+
+    const objects = [];
+    for (const [ip, lookups] of byIp) {
+        const address = addressObject(ip);
+        const timestamps = lookups.map(entry => entry.timestamp).sort();
+        const scores = lookups.map(entry => entry.result.score).filter(Number.isFinite);
+        const score = scores.length > 0 ? Math.max(...scores) : null;
+        const types = indicatorTypes(score, thresholds);
+
+        objects.push(address);
+        if (types) {
+            const pattern = `[${address.type}:value = '${ip}']`;
+            objects.push({
+                type: 'indicator',
+                spec_version: '2.1',
+                id: `indicator--${uuidV5(pattern, SCO_NAMESPACE)}`,
+                created: timestamps[0],
+                modified: timestamps[timestamps.length - 1],
+                name: ip,
+                description: describeAddress(ip, lookups, score),
+                indicator_types: types,
+                pattern,
+                pattern_type: 'stix',
+                valid_from: timestamps[0],
+                confidence: score
+            });
+        }
+        for (const entry of lookups) {
+            objects.push({
+                type: 'observed-data',
+                spec_version: '2.1',
+                id: `observed-data--${entry.id}`,
+                created: entry.timestamp,
+                modified: entry.timestamp,
+                first_observed: entry.timestamp,
+                last_observed: entry.timestamp,
+                number_observed: 1,
+                object_refs: [address.id],
+                x_lookup_source: entry.source,
+                x_lookup_result: entry.result
+            });
+        }
+    }
+
+    return { type: 'bundle', id: `bundle--${crypto.randomUUID()}`, objects };
+}
+
+module.exports = {
+    buildStixBundle
+};
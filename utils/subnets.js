@@ -0,0 +1,333 @@
+// ============================================================================
+// SUBNET OPERATIONS
+// ============================================================================
+
+const { bitsFor, parseIp, formatIp, prefixMask, parseCidr, parseRange, formatCidr } = require('./ipAddress');
+
+/**
+ * Reads a per-family option that may be given as a number (both families) or { ipv4, ipv6 }
+ */
+function familyOption(option, version, fallback) {
+    if (option === undefined || option === null) return fallback;
+    if (typeof option === 'number') return option;
+    const value = option[version === 6 ? 'ipv6' : 'ipv4'];
+    return typeof value === 'number' ? value : fallback;
+}
+
+/**
+ * Returns the smallest prefix that contains both prefixes
+ */
+function commonSupernet(a, b, version) {
+    const bits = bitsFor(version);
+    const diff = a.network ^ b.network;
+    let prefixLength = Math.min(a.prefixLength, b.prefixLength);
+    // Shorten the prefix until the differing bits fall inside the host part
+    while (prefixLength > 0 && (diff >> BigInt(bits - prefixLength)) !== 0n) {
+        prefixLength--;
+    }
+    return { network: a.network & prefixMask(prefixLength, version), prefixLength };
+}
+
+/**
+ * Collapses sorted host addresses of one family into covering prefixes.
+ * With maxOverCoverage = 0 the result is the exact minimal CIDR set; a positive
+ * percentage lets neighbouring prefixes merge when the share of addresses in the
+ * merged block that were NOT in the input stays within that percentage.
+ */
+function aggregateFamily(values, version, { minPrefixLength, maxOverCoverage }) {
+    const bits = bitsFor(version);
+    // Compare in basis points so IPv6 block sizes stay in BigInt arithmetic
+    const allowedBasisPoints = BigInt(Math.round(maxOverCoverage * 100));
+    const stack = [];
+
+    for (const value of values) {
+        stack.push({ network: value, prefixLength: bits, ipCount: 1 });
+
+        while (stack.length >= 2) {
+            const top = stack[stack.length - 1];
+            const previous = stack[stack.length - 2];
+            const merged = commonSupernet(previous, top, version);
+            if (merged.prefixLength < minPrefixLength) break;
+
+            // Everything on the stack inside the candidate block gets absorbed by it
+            let absorbed = 0;
+            let ipCount = 0;
+            for (let i = stack.length - 1; i >= 0; i--) {
+                const entry = stack[i];
+                if ((entry.network & prefixMask(merged.prefixLength, version)) !== merged.network) break;
+                absorbed++;
+                ipCount += entry.ipCount;
+            }
+
+            const size = 1n << BigInt(bits - merged.prefixLength);
+            const uncovered = size - BigInt(ipCount);
+            if (uncovered * 10000n > allowedBasisPoints * size) break;
+
+            stack.splice(stack.length - absorbed, absorbed, { ...merged, ipCount });
+        }
+    }
+
+    return stack.map(entry => {
+        const size = 1n << BigInt(bits - entry.prefixLength);
+        return {
+            subnet: formatCidr(entry.network, entry.prefixLength, version),
+            version,
+            prefixLength: entry.prefixLength,
+            ipCount: entry.ipCount,
+            addressCount: size.toString()
+        };
+    });
+}
+
+/**
+ * Summarizes IPv4/IPv6 addresses into a minimal set of covering subnets.
+ *
+ * Options:
+ *   maxPrefixWidth  - widest prefix allowed, as a number or { ipv4, ipv6 } (default /0)
+ *   maxOverCoverage - percentage of addresses in a prefix allowed to be outside the input (default 0)
+ *
+ * Returns { subnets, invalid, duplicates } where each subnet reports how many input IPs it covers.
+ */
+function summarizeSubnets(ips, options = {}) {
+    const { maxPrefixWidth, maxOverCoverage = 0 } = options;
+    const families = { 4: new Set(), 6: new Set() };
+    const invalid = [];
+    let duplicates = 0;
+
+    for (const ip of ips) {
+        const parsed = parseIp(ip);
+        if (!parsed) {
+            invalid.push(ip);
+            continue;
+        }
+        const family = families[parsed.version];
+        if (family.has(parsed.value)) {
+            duplicates++;
+        } else {
+            family.add(parsed.value);
+        }
+    }
+
+    const subnets = [];
+    for (const version of [4, 6]) {
+        const values = [...families[version]].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        if (values.length === 0) continue;
+        subnets.push(...aggregateFamily(values, version, {
+            minPrefixLength: familyOption(maxPrefixWidth, version, 0),
+            maxOverCoverage
+        }));
+    }
+
+    return { subnets, invalid, duplicates };
+}
+
+// ----------------------------------------------------------------------------
+// CIDR details and range conversion
+// ----------------------------------------------------------------------------
+
+/**
+ * Describes a network: boundaries, usable hosts and mask forms.
+ * IPv4 /31 and /32 follow RFC 3021 (every address is usable); IPv6 has no
+ * broadcast address, so every address in the prefix counts as a host.
+ * Returns null when "input" is not an IP or CIDR.
+ */
+function cidrInfo(input) {
+    const parsed = parseCidr(input);
+    if (!parsed) return null;
+
+    const { version, network, prefixLength } = parsed;
+    const bits = bitsFor(version);
+    const size = 1n << BigInt(bits - prefixLength);
+    const last = network + size - 1n;
+    const mask = prefixMask(prefixLength, version);
+    const pointToPoint = version === 4 && prefixLength >= 31;
+    const hasBroadcast = version === 4 && !pointToPoint;
+
+    return {
+        cidr: formatCidr(network, prefixLength, version),
+        version,
+        prefixLength,
+        network: formatIp(network, version),
+        broadcast: hasBroadcast ? formatIp(last, version) : null,
+        firstHost: formatIp(hasBroadcast ? network + 1n : network, version),
+        lastHost: formatIp(hasBroadcast ? last - 1n : last, version),
+        hostCount: (hasBroadcast ? size - 2n : size).toString(),
+        addressCount: size.toString(),
+        netmask: formatIp(mask, version),
+        wildcard: formatIp(((1n << BigInt(bits)) - 1n) ^ mask, version)
+    };
+}
+
+/**
+ * Splits an inclusive BigInt range into the minimal list of aligned prefixes
+ */
+function rangeToPrefixes(start, end, version) {
+    const bits = bitsFor(version);
+    const prefixes = [];
+
+    while (start <= end) {
+        // Widest block that is aligned on "start" and does not run past "end"
+        let hostBits = 0;
+        while (hostBits < bits) {
+            const size = 1n << BigInt(hostBits + 1);
+            if (start % size !== 0n || start + size - 1n > end) break;
+            hostBits++;
+        }
+        prefixes.push({ network: start, prefixLength: bits - hostBits });
+        start += 1n << BigInt(hostBits);
+    }
+    return prefixes;
+}
+
+/**
+ * Converts an address range ("10.0.0.5-10.0.1.20") into its minimal CIDR list.
+ * Returns null when the range is malformed.
+ */
+function rangeToCidrs(input) {
+    const range = parseRange(input);
+    if (!range) return null;
+    return rangeToPrefixes(range.start, range.end, range.version)
+        .map(({ network, prefixLength }) => formatCidr(network, prefixLength, range.version));
+}
+
+/**
+ * Converts a CIDR into its first and last address. Returns null when malformed.
+ */
+function cidrToRange(input) {
+    const parsed = parseCidr(input);
+    if (!parsed) return null;
+    const { version, network, prefixLength } = parsed;
+    const last = network + (1n << BigInt(bitsFor(version) - prefixLength)) - 1n;
+    return { cidr: formatCidr(network, prefixLength, version), start: formatIp(network, version), end: formatIp(last, version) };
+}
+
+// ----------------------------------------------------------------------------
+// Membership and set operations
+// ----------------------------------------------------------------------------
+
+/**
+ * Lists the networks that contain an IP, most specific first.
+ * Networks of the other IP version never match; malformed entries are ignored.
+ */
+function findContainingNetworks(ip, networks) {
+    const parsed = parseIp(ip);
+    if (!parsed) return [];
+
+    return networks
+        .map(network => parseCidr(network))
+        .filter(network => network
+            && network.version === parsed.version
+            && (parsed.value & prefixMask(network.prefixLength, network.version)) === network.network)
+        .sort((a, b) => b.prefixLength - a.prefixLength)
+        .map(network => formatCidr(network.network, network.prefixLength, network.version));
+}
+
+/**
+ * Turns CIDR strings into sorted, merged inclusive ranges per IP version
+ */
+function toIntervals(networks) {
+    const families = { 4: [], 6: [] };
+    for (const network of networks) {
+        const parsed = parseCidr(network);
+        if (!parsed) continue;
+        const size = 1n << BigInt(bitsFor(parsed.version) - parsed.prefixLength);
+        families[parsed.version].push([parsed.network, parsed.network + size - 1n]);
+    }
+
+    for (const version of [4, 6]) {
+        const sorted = families[version].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+        const merged = [];
+        for (const [start, end] of sorted) {
+            const previous = merged[merged.length - 1];
+            if (previous && start <= previous[1] + 1n) {
+                if (end > previous[1]) previous[1] = end;
+            } else {
+                merged.push([start, end]);
+            }
+        }
+        families[version] = merged;
+    }
+    return families;
+}
+
+/**
+ * Ranges present in both sorted, merged range lists
+ */
+function intersectIntervals(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        const start = a[i][0] > b[j][0] ? a[i][0] : b[j][0];
+        const end = a[i][1] < b[j][1] ? a[i][1] : b[j][1];
+        if (start <= end) result.push([start, end]);
+        if (a[i][1] < b[j][1]) i++; else j++;
+    }
+    return result;
+}
+
+/**
+ * Ranges of "a" not covered by "b" (both sorted and merged)
+ */
+function subtractIntervals(a, b) {
+    const result = [];
+    let j = 0;
+    for (let [start, end] of a) {
+        while (j < b.length && b[j][1] < start) j++;
+        let k = j;
+        while (k < b.length && b[k][0] <= end) {
+            if (b[k][0] > start) result.push([start, b[k][0] - 1n]);
+            start = b[k][1] + 1n;
+            if (start > end) break;
+            k++;
+        }
+        if (start <= end) result.push([start, end]);
+    }
+    return result;
+}
+
+/**
+ * Converts per-version ranges back into minimal CIDR lists (IPv4 first)
+ */
+function intervalsToCidrs(families) {
+    return [4, 6].flatMap(version => families[version].flatMap(([start, end]) => rangeToPrefixes(start, end, version)
+        .map(({ network, prefixLength }) => formatCidr(network, prefixLength, version))));
+}
+
+const SET_OPERATIONS = ['union', 'intersection', 'subtract'];
+
+/**
+ * Applies a set operation to lists of CIDRs and returns the minimal CIDR list of the result.
+ *
+ *   union        - addresses in any list
+ *   intersection - addresses in every list
+ *   subtract     - addresses in the first list and in none of the others
+ */
+function combineNetworks(operation, lists) {
+    const [first, ...rest] = lists.map(toIntervals);
+    let result = first;
+
+    if (operation === 'union') {
+        result = toIntervals(lists.flat());
+    } else {
+        for (const other of rest) {
+            for (const version of [4, 6]) {
+                result[version] = operation === 'intersection'
+                    ? intersectIntervals(result[version], other[version])
+                    : subtractIntervals(result[version], other[version]);
+            }
+        }
+    }
+
+    return intervalsToCidrs(result);
+}
+
+module.exports = {
+    SET_OPERATIONS,
+    summarizeSubnets,
+    cidrInfo,
+    rangeToCidrs,
+    cidrToRange,
+    findContainingNetworks,
+    combineNetworks
+};